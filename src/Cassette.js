@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A cassette (Node.js only) keeps recorded HTTP responses in a JSON file,
+ * keyed by request URL, so that real sessions with the server can be
+ * replayed later without network access (e.g. as regression tests in CI).
+ * In 'record' mode, every response that is recorded is written to the file
+ * right away. In 'replay' mode, the file is only read.
+ */
+module.exports = class Cassette {
+
+  constructor(options) {
+    const opt = (typeof options === 'string') ? { file: options } : options;
+
+    this.file = path.resolve(opt.file);
+    this.mode = (opt.mode === 'record') ? 'record' : 'replay';
+    this.responses = this.load();
+  }
+
+  /**
+   * Returns the responses in the cassette file, or none when the file does
+   * not exist yet
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return {};
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  /**
+   * Returns the recorded `{ status, text, retryAfter }` response for `url`,
+   * or `undefined` when there is none
+   */
+  get(url) {
+    return this.responses.hasOwnProperty(url)
+      ? this.responses[url]
+      : undefined;
+  }
+
+  /**
+   * Records the response for `url` (replacing an earlier one) and saves the
+   * cassette file
+   */
+  record(url, response) {
+    this.responses[url] = {
+      status: response.status,
+      text: response.text,
+      retryAfter: response.retryAfter || null
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.responses, null, 2));
+  }
+};
@@ -0,0 +1,53 @@
+const Cassette = require('./Cassette');
+const chai = require('chai'); chai.should();
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Cassette.js', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsm-pubdict-'));
+  });
+
+  afterEach(() => {
+    for (let fileName of fs.readdirSync(dir))
+      fs.unlinkSync(path.join(dir, fileName));
+    fs.rmdirSync(dir);
+  });
+
+  describe('constructor', () => {
+    it('uses the replay mode by default and starts empty without a file',
+      cb => {
+        const file = path.join(dir, 'cassette.json');
+        const cassette = new Cassette(file);
+        cassette.file.should.equal(file);
+        cassette.mode.should.equal('replay');
+        cassette.responses.should.deep.equal({});
+        new Cassette({ file: file, mode: 'record' }).mode
+          .should.equal('record');
+
+        cb();
+      });
+  });
+
+  describe('get/record', () => {
+    it('saves the recorded responses to the file, for later replay', cb => {
+      const file = path.join(dir, 'cassette.json');
+      const url = 'http://test/dictionaries/MONDO.json';
+      new Cassette({ file: file, mode: 'record' })
+        .record(url, { status: 200, text: '{"name":"MONDO"}' });
+
+      const cassette = new Cassette(file);
+      cassette.get(url).should.deep.equal(
+        { status: 200, text: '{"name":"MONDO"}', retryAfter: null });
+      expect(cassette.get('http://test/dictionaries/A.json'))
+        .to.equal(undefined);
+      expect(cassette.get('hasOwnProperty')).to.equal(undefined);
+
+      cb();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A persistent cache (Node.js only) that stores every value as a JSON file
+ * in the given directory. The file name is a hash of the key (a request URL)
+ * and the file also keeps the full key, to detect hash collisions.
+ * Values can expire after a Time-To-Live (in ms, 0 means no expiry).
+ */
+module.exports = class DiskCache {
+
+  constructor(options) {
+    const opt = (typeof options === 'string') ? { dir: options } : options;
+
+    this.dir = path.resolve(opt.dir);
+    this.ttl = (Number.isInteger(opt.ttl) && opt.ttl >= 0) ? opt.ttl : 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  getFilePath(key) {
+    return path.join(this.dir, hashString(key) + '.json');
+  }
+
+  /**
+   * Returns the stored value for `key`, or `undefined` when it is not
+   * stored, cannot be read or has expired (unless `ignoreTTL` is true)
+   */
+  get(key, ignoreTTL = false) {
+    let item;
+    try {
+      item = JSON.parse(fs.readFileSync(this.getFilePath(key), 'utf8'));
+    } catch (err) {
+      return undefined;
+    }
+
+    if (item.key !== key) return undefined;
+    if (!ignoreTTL && this.ttl > 0 && item.time + this.ttl <= Date.now())
+      return undefined;
+
+    return item.value;
+  }
+
+  set(key, value) {
+    const item = { key: key, time: Date.now(), value: value };
+    try {
+      fs.writeFileSync(this.getFilePath(key), JSON.stringify(item));
+    } catch (err) {
+      // a cache that cannot be written only makes more requests
+    }
+  }
+
+  delete(key) {
+    const filePath = this.getFilePath(key);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+
+  /**
+   * Deletes all values whose key satisfies the `fn(key)` condition. As the
+   * directory may hold other files, only the cache's own files are deleted.
+   */
+  deleteWhere(fn) {
+    for (let fileName of this.getFileNames()) {
+      const filePath = path.join(this.dir, fileName);
+      try {
+        const item = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (isCacheItem(item) && fn(item.key)) fs.unlinkSync(filePath);
+      } catch (err) {
+        // skip files that are not readable cache items
+      }
+    }
+  }
+
+  clear() {
+    this.deleteWhere(() => true);
+  }
+
+  /**
+   * Returns the names of the files that can be cache items (named by the
+   * hash of their key)
+   */
+  getFileNames() {
+    return fs.readdirSync(this.dir)
+      .filter(fileName => /^[0-9a-f]+\.json$/.test(fileName));
+  }
+};
+
+function isCacheItem(item) {
+  return item !== null && typeof item === 'object'
+    && typeof item.key === 'string'
+    && typeof item.time === 'number'
+    && item.hasOwnProperty('value');
+}
+
+/**
+ * Returns a 53-bit hash of `str` as a hexadecimal string (cyrb53)
+ */
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507)
+    ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507)
+    ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
@@ -0,0 +1,100 @@
+const DiskCache = require('./DiskCache');
+const chai = require('chai'); chai.should();
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('DiskCache.js', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsm-pubdict-'));
+  });
+
+  afterEach(() => {
+    for (let fileName of fs.readdirSync(dir))
+      fs.unlinkSync(path.join(dir, fileName));
+    fs.rmdirSync(dir);
+  });
+
+  describe('constructor', () => {
+    it('creates the cache directory when it does not exist', cb => {
+      const subDir = path.join(dir, 'cache');
+      const cache = new DiskCache(subDir);
+      cache.dir.should.equal(subDir);
+      cache.ttl.should.equal(0);
+      fs.existsSync(subDir).should.equal(true);
+      fs.rmdirSync(subDir);
+
+      cb();
+    });
+  });
+
+  describe('get/set', () => {
+    it('stores the values as JSON files that persist between instances', cb => {
+      const url = 'http://test/dictionaries/MONDO.json';
+      new DiskCache({ dir }).set(url, { name: 'MONDO' });
+
+      const cache = new DiskCache({ dir });
+      cache.get(url).should.deep.equal({ name: 'MONDO' });
+      expect(cache.get('http://test/dictionaries/PTO-all.json'))
+        .to.equal(undefined);
+      fs.readdirSync(dir).length.should.equal(1);
+
+      cb();
+    });
+
+    it('does not return values of another key with the same hash', cb => {
+      const cache = new DiskCache({ dir });
+      const url = 'http://test/a';
+      fs.writeFileSync(cache.getFilePath(url),
+        JSON.stringify({ key: 'http://test/b', time: Date.now(), value: 1 }));
+
+      expect(cache.get(url)).to.equal(undefined);
+
+      cb();
+    });
+
+    it('does not return expired values, unless asked to ignore the TTL', cb => {
+      const cache = new DiskCache({ dir, ttl: 10 });
+      cache.set('a', 1);
+
+      setTimeout(() => {
+        expect(cache.get('a')).to.equal(undefined);
+        cache.get('a', true).should.equal(1);
+        cb();
+      }, 20);
+    });
+  });
+
+  describe('delete/deleteWhere/clear', () => {
+    it('removes the stored values', cb => {
+      const cache = new DiskCache({ dir });
+      cache.set('a1', 1);
+      cache.set('a2', 2);
+      cache.set('b1', 3);
+
+      cache.delete('a1');
+      expect(cache.get('a1')).to.equal(undefined);
+      cache.deleteWhere(key => key.startsWith('a'));
+      expect(cache.get('a2')).to.equal(undefined);
+      cache.get('b1').should.equal(3);
+      cache.clear();
+      fs.readdirSync(dir).length.should.equal(0);
+
+      cb();
+    });
+
+    it('leaves the other files of the directory alone', cb => {
+      const cache = new DiskCache({ dir });
+      fs.writeFileSync(path.join(dir, 'data.json'), '{"key":"a"}');
+      fs.writeFileSync(path.join(dir, 'abc.json'), '{"x":1}');
+      cache.set('a', 1);
+
+      cache.clear();
+      fs.readdirSync(dir).sort().should.deep.equal(['abc.json', 'data.json']);
+      cb();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * A simple in-memory Least-Recently-Used cache, where every value also
+ * expires after a Time-To-Live (in ms, 0 means no expiry).
+ * It uses the insertion order of a `Map`: the first key is the least
+ * recently used one.
+ */
+module.exports = class LRUCache {
+
+  constructor(options) {
+    const opt = options || {};
+
+    this.maxSize = (Number.isInteger(opt.maxSize) && opt.maxSize >= 1)
+      ? opt.maxSize
+      : 1000;
+
+    this.ttl = (Number.isInteger(opt.ttl) && opt.ttl >= 0)
+      ? opt.ttl
+      : 0;
+
+    this.map = new Map();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Returns the value for `key`, or `undefined` when it is not in the
+   * cache or has expired
+   */
+  get(key) {
+    const item = this.map.get(key);
+    if (!item) return undefined;
+
+    if (item.expires && item.expires <= Date.now()) {
+      this.map.delete(key);
+      return undefined;
+    }
+
+    // move it to the end, as the most recently used
+    this.map.delete(key);
+    this.map.set(key, item);
+    return item.value;
+  }
+
+  set(key, value, ttl = this.ttl) {
+    this.map.delete(key);
+    this.map.set(key, {
+      value: value,
+      expires: ttl > 0 ? Date.now() + ttl : 0
+    });
+
+    // evict the least recently used values
+    while (this.map.size > this.maxSize)
+      this.map.delete(this.map.keys().next().value);
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  /**
+   * Deletes all values whose key satisfies the `fn(key)` condition
+   */
+  deleteWhere(fn) {
+    for (let key of Array.from(this.map.keys()))
+      if (fn(key)) this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+};
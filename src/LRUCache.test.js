@@ -0,0 +1,84 @@
+const LRUCache = require('./LRUCache');
+const chai = require('chai'); chai.should();
+const expect = chai.expect;
+
+describe('LRUCache.js', () => {
+
+  describe('constructor', () => {
+    it('uses default options when none or invalid ones are given', cb => {
+      const cache = new LRUCache();
+      cache.maxSize.should.equal(1000);
+      cache.ttl.should.equal(0);
+
+      const cache2 = new LRUCache({ maxSize: 0, ttl: -5 });
+      cache2.maxSize.should.equal(1000);
+      cache2.ttl.should.equal(0);
+
+      cb();
+    });
+  });
+
+  describe('get/set', () => {
+    it('returns the stored values and `undefined` for missing keys', cb => {
+      const cache = new LRUCache();
+      cache.set('a', { items: [] });
+      cache.set('b', []);
+
+      cache.get('a').should.deep.equal({ items: [] });
+      cache.get('b').should.deep.equal([]);
+      expect(cache.get('c')).to.equal(undefined);
+      cache.size.should.equal(2);
+
+      cb();
+    });
+
+    it('evicts the least recently used values when full', cb => {
+      const cache = new LRUCache({ maxSize: 2 });
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a'); // now `b` is the least recently used
+      cache.set('c', 3);
+
+      cache.get('a').should.equal(1);
+      expect(cache.get('b')).to.equal(undefined);
+      cache.get('c').should.equal(3);
+      cache.size.should.equal(2);
+
+      cb();
+    });
+
+    it('does not return expired values', cb => {
+      const cache = new LRUCache({ ttl: 10 });
+      cache.set('a', 1);
+      cache.set('b', 2, 0); // never expires
+      cache.set('c', 3, 1000);
+
+      setTimeout(() => {
+        expect(cache.get('a')).to.equal(undefined);
+        cache.get('b').should.equal(2);
+        cache.get('c').should.equal(3);
+        cache.size.should.equal(2);
+        cb();
+      }, 20);
+    });
+  });
+
+  describe('delete/deleteWhere/clear', () => {
+    it('removes the values', cb => {
+      const cache = new LRUCache();
+      cache.set('a1', 1);
+      cache.set('a2', 2);
+      cache.set('b1', 3);
+      cache.set('b2', 4);
+
+      cache.delete('a1').should.equal(true);
+      cache.delete('a1').should.equal(false);
+      cache.deleteWhere(key => key.endsWith('2'));
+      Array.from(cache.map.keys()).should.deep.equal(['b1']);
+      cache.clear();
+      cache.size.should.equal(0);
+
+      cb();
+    });
+  });
+});
@@ -1,9 +1,18 @@
 const Dictionary = require('vsm-dictionary');
 const { hasProperEntrySortProperty, hasProperFilterDictIDProperty,
   hasProperFilterIDProperty, hasProperPageProperty, hasPagePropertyEqualToOne,
-  hasProperPerPageProperty, hasProperSortDictIDProperty, str_cmp, deepClone,
+  hasProperPerPageProperty, hasProperSortDictIDProperty,
+  hasProperTimeoutProperty, str_cmp, deepClone,
   fixedEncodeURIComponent, isJSONString, getLastPartOfURL, removeDuplicates,
-  removeDuplicateEntries } = require('./fun');
+  removeDuplicateEntries, toPromise, callAsync, getRetryOptions,
+  isRetriableStatus } = require('./fun');
+const { getTransport } = require('./transports');
+const LRUCache = require('./LRUCache');
+const DiskCache = require('./DiskCache');
+const Cassette = require('./Cassette');
+const { errorCodes, createError } = require('./errors');
+const { getLogger } = require('./logger');
+const RequestStats = require('./RequestStats');
 
 module.exports = class PubDictionaries extends Dictionary {
 
@@ -13,8 +22,83 @@ module.exports = class PubDictionaries extends Dictionary {
 
     const baseURL = opt.baseURL || 'https://pubdictionaries.org';
 
-    // enable the console.log() usage
-    this.enableLog = opt.log || false;
+    // a logger object with `debug`, `info`, `warn` and `error` functions
+    // (e.g. from pino or winston), or for the `log` option: a console logger
+    // for all levels (`true`) or from a given level (e.g. 'warn') on
+    this.logger = getLogger(opt.logger || opt.log);
+
+    // functions called on request lifecycle events: `onRequest` and
+    // `onResponse` for every attempt sent to the server, and `onResult` or
+    // `onError` when a request (to the server or a cache) has finished
+    this.hooks = opt.hooks || {};
+
+    // usage statistics of the requests, see `getStats()`
+    this.stats = new RequestStats(opt.stats);
+
+    // 'strict' (default) or 'lenient' error handling of the parallel requests
+    this.errorMode = (opt.errorMode === 'lenient') ? 'lenient' : 'strict';
+
+    // add the pagination metadata to the results (see `addPageInfo()`)
+    this.pageInfo = opt.pageInfo || false;
+
+    // the HTTP transport: a `(url, init) => Promise<Response>` function or
+    // the name of a built-in one ('fetch' or the legacy 'xhr')
+    this.transport = getTransport(opt.transport);
+
+    // default timeout (in ms) for every request, 0 means no timeout
+    this.timeout = hasProperTimeoutProperty(opt) ? opt.timeout : 0;
+
+    // retry requests that fail with a 429 or 5xx status or a network error,
+    // waiting `baseDelay * 2^(attempt - 1)` ms (randomly varied by up to a
+    // `jitter` fraction of it) or the `Retry-After` time of the response
+    this.retry = getRetryOptions(opt.retry);
+
+    // maximum number of requests in flight at the same time, the rest are
+    // queued (by default, all requests are sent at once)
+    this.maxConcurrentRequests = (Number.isInteger(opt.maxConcurrentRequests)
+      && opt.maxConcurrentRequests >= 1)
+      ? opt.maxConcurrentRequests
+      : Infinity;
+    this.requestQueue = [];
+    this.activeRequests = 0;
+
+    // the requests in flight by URL, which concurrent calls can join
+    this.inFlightRequests = new Map();
+
+    // optional in-memory cache of the successful responses, keyed by URL,
+    // with a TTL (in ms) that can differ per endpoint type
+    const cacheOpt = (opt.cache === true) ? {} : opt.cache;
+    this.cache = cacheOpt ? new LRUCache(cacheOpt) : null;
+    this.cacheTTLs = (cacheOpt && cacheOpt.ttlByType) || {};
+
+    // optional persistent cache of the successful responses (Node.js only),
+    // given as a directory or as `{ dir, ttl }`
+    this.diskCache = opt.diskCache ? new DiskCache(opt.diskCache) : null;
+
+    // in offline mode, requests are answered only from the caches
+    this.offline = opt.offline || false;
+
+    // optional cassette file (Node.js only), given as `{ file, mode }`, to
+    // which the server's responses are recorded (in 'record' mode), or from
+    // which they are served instead of sending requests (in 'replay' mode)
+    this.cassette = opt.cassette ? new Cassette(opt.cassette) : null;
+
+    // credentials for private dictionaries: `{ token }` for a bearer token,
+    // and/or `{ apiKey }` sent as the `apiKeyHeader` header (by default
+    // 'X-API-Key') or, when `apiKeyParam` is given, as that query parameter.
+    // `authByHost` maps a URL host (e.g. 'pubdictionaries.org') to its own
+    // credentials, used instead of the default `auth` ones.
+    this.auth = opt.auth || null;
+    this.authByHost = Object.keys(opt.authByHost || {})
+      .reduce((res, host) => {
+        res[host.toLowerCase()] = opt.authByHost[host];
+        return res;
+      }, {});
+
+    // opt-in normalization of the `getEntryMatchesForString` query with the
+    // stop-word lists of every dictionary (which are fetched once)
+    this.normalizeQuery = opt.normalizeQuery || false;
+    this.stopWords = new Map();
 
     // pubDictionaries dictID URI for pattern match
     this.pubDictIdURI = 'pubdictionaries.org/dictionaries';
@@ -23,6 +107,12 @@ module.exports = class PubDictionaries extends Dictionary {
     this.pubDictionariesDefaultPage = 1;
     this.pubDictionariesDefaultPageSize = 15;
 
+    // PubDictionaries dictionary properties that are kept under a dictInfo's
+    // `z` (with the same names)
+    this.dictInfoZProps = ['entries_num', 'created_at', 'updated_at',
+      'public', 'license', 'license_url', 'user_id', 'no_term_words',
+      'no_begin_words', 'no_end_words'];
+
     // 2 types of type-ahead suggestions supported: 'prefix' and 'substring'
     this.suggest = (typeof opt.suggest === 'string'
       && (opt.suggest === 'prefix') || opt.suggest === 'substring' || opt.suggest === 'mixed')
@@ -31,6 +121,17 @@ module.exports = class PubDictionaries extends Dictionary {
 
     // getDictInfo URL pattern
     this.urlGetDictInfos = opt.urlGetDictInfos || baseURL + '/dictionaries/$filterDictID.json';
+    // the index of all public dictionaries, which is requested page by page
+    this.urlGetAllDictInfos = opt.urlGetAllDictInfos
+      || baseURL + '/dictionaries.json';
+    this.dictIndexPageSize = 100;
+    // a safeguard against a server that keeps returning full pages
+    this.maxDictIndexPages = 1000;
+
+    // default number of entries per request of `streamEntries()`
+    this.streamBatchSize = 100;
+    // a safeguard against a server that never returns an empty page
+    this.maxStreamPages = 100000;
 
     // getEntries URL pattern
     // 1st case: get all entries for a specific dictionary (no id for filtering)
@@ -39,6 +140,17 @@ module.exports = class PubDictionaries extends Dictionary {
     // 2nd case: get entries when at least one id is given
     this.urlGetEntries = opt.urlGetEntries
       || baseURL + '/find_terms.json?dictionaries=$filterDictIDs&ids=$filterIDs';
+    // long id lists are split over several `find_terms` requests, so that
+    // each URL has at most `maxIDsPerRequest` ids and `maxURLLength` chars
+    // (a single id that is longer than that still gets its own request)
+    this.maxIDsPerRequest = (Number.isInteger(opt.maxIDsPerRequest)
+      && opt.maxIDsPerRequest >= 1)
+      ? opt.maxIDsPerRequest
+      : 100;
+    this.maxURLLength = (Number.isInteger(opt.maxURLLength)
+      && opt.maxURLLength >= 1)
+      ? opt.maxURLLength
+      : 2000;
 
     // getEntryMatchesForString
     this.urlGetMatches = opt.urlGetMatches
@@ -52,12 +164,16 @@ module.exports = class PubDictionaries extends Dictionary {
   }
 
   getDictInfos(options, cb) {
+    if (typeof cb !== 'function')
+      return toPromise(cb => this.getDictInfos(options, cb));
+
     // if request is for non-PubDictionaries, return empty result
     if (hasProperFilterIDProperty(options)
       && options.filter.id.findIndex(
         id => id.includes(this.pubDictIdURI)) === -1
     ) {
-      return cb(null, { items: [] });
+      return cb(null, this.addPageInfo(
+        this.getResult([], this.isLenient(options), []), options, false, 0));
     }
 
     const page = this.getPage(options);
@@ -65,10 +181,9 @@ module.exports = class PubDictionaries extends Dictionary {
 
     let urlArray = this.buildDictInfoURLs(options);
 
-    // asking for all dictionaries information is not supported
+    // no filter: list all dictionaries
     if (urlArray.length === 0) {
-      let err = { status: 404, error: 'Not supported' };
-      return cb(err);
+      return this.getAllDictInfos(options, cb);
     }
 
     // prune common urls (e.g. when someone evil asks for a dictionary twice)
@@ -79,25 +194,28 @@ module.exports = class PubDictionaries extends Dictionary {
     if (callsRemaining > 1 && page > 1) {
       const firstExpectedResIndex = (page - 1) * pageSize;
       if (callsRemaining <= firstExpectedResIndex) {
-        return cb(null, {items: []});
+        return cb(null, this.addPageInfo(
+          this.getResult([], this.isLenient(options), []), options, false));
       }
     }
 
     const urlToResultsMap = new Map();
+    const lenient = this.isLenient(options);
+    const errors = [];
     let answered = false;
 
     for (let url of urlArray) {
-      if (this.enableLog)
-        console.log('URL: ' + url);
+      this.logger.debug('URL: ' + url);
 
       urlToResultsMap.set(url, []);
 
-      this.request(url, (err, res) => {
+      this.enqueueRequest(url, this.getRequestOptions(options), (err, res) => {
         if (err) {
           // no error when dictionary name does not exist
-          if (typeof(err.message) !== 'undefined'
-            && err.message.includes('Unknown dictionary')) {
+          if (err.code === errorCodes.UNKNOWN_DICTIONARY) {
             err = null; // `res` is already set to []
+          } else if (lenient) {
+            errors.push(err); // `res` is already set to []
           } else {
             if (!answered) {
               answered = true;
@@ -116,16 +234,145 @@ module.exports = class PubDictionaries extends Dictionary {
           let arr = [];
           for (let dictInfoObjArray of urlToResultsMap.values())
             arr = arr.concat(dictInfoObjArray);
+          const totalCount = arr.length;
 
-          arr = this.trimDictInfoArray(arr, page, pageSize);
+          arr = this.trimDictInfoArray(
+            Dictionary.zPropPrune(arr, options.z), page, pageSize);
 
-          if (!answered) cb(err, {items: arr});
+          if (!answered) cb(null, this.addPageInfo(
+            this.getResult(arr, lenient, errors), options,
+            page * pageSize < totalCount, totalCount));
         }
       });
     }
   }
 
+  /**
+   * Gets the dictInfo objects of all public dictionaries, sorted by dictID.
+   * As the server's dictionary index is not sorted, the whole of it is
+   * needed to return the requested page.
+   */
+  getAllDictInfos(options, cb) {
+    this.getDictIndex(options, (err, arr, errors) => {
+      if (err) return cb(err);
+
+      arr.sort((a, b) => str_cmp(a.id, b.id));
+      cb(null, this.getDictInfoPage(arr, options, errors));
+    });
+  }
+
+  /**
+   * Finds the dictionaries with a name or description that contains `str`
+   * (case-insensitive) and calls back with their dictInfo objects, ranked
+   * by relevance (see `getDictInfoRank()`) and paged as usual
+   */
+  findDictInfos(str, options, cb) {
+    if (typeof cb !== 'function')
+      return toPromise(cb => this.findDictInfos(str, options, cb));
+
+    const searchStr = (typeof str === 'string') ? str.trim() : '';
+    if (searchStr === '')
+      return callAsync(cb, null, this.addPageInfo(
+        this.getResult([], this.isLenient(options), []), options, false, 0));
+
+    this.getDictIndex(options, (err, arr, errors) => {
+      if (err) return cb(err);
+
+      arr = arr
+        .map(dictInfo => ({
+          dictInfo: dictInfo,
+          rank: this.getDictInfoRank(dictInfo, searchStr)
+        }))
+        .filter(obj => obj.rank !== -1)
+        .sort((a, b) => a.rank - b.rank
+          || str_cmp(a.dictInfo.name, b.dictInfo.name))
+        .map(obj => obj.dictInfo);
+      cb(null, this.getDictInfoPage(arr, options, errors));
+    });
+  }
+
+  /**
+   * Returns the result object with the requested page of all the (sorted)
+   * dictInfo objects in `arr`
+   */
+  getDictInfoPage(arr, options, errors) {
+    const page = this.getPage(options);
+    const pageSize = this.getPageSize(options);
+    const items = this.trimDictInfoArray(
+      Dictionary.zPropPrune(arr, options.z), page, pageSize);
+
+    return this.addPageInfo(
+      this.getResult(items, this.isLenient(options), errors), options,
+      page * pageSize < arr.length, arr.length);
+  }
+
+  /**
+   * Returns how relevant a dictInfo object is for the search string `str`
+   * (lower is more relevant), or -1 when it does not match at all:
+   * 0 for an equal name, 1 for a name that starts with `str`, 2 for a name
+   * that contains it, and 3 for a description that contains it
+   */
+  getDictInfoRank(dictInfo, str) {
+    const s = str.toLowerCase();
+    const name = dictInfo.name.toLowerCase();
+    if (name === s) return 0;
+    if (name.startsWith(s)) return 1;
+    if (name.includes(s)) return 2;
+    if (dictInfo.descr && dictInfo.descr.toLowerCase().includes(s)) return 3;
+    return -1;
+  }
+
+  /**
+   * Gets the dictInfo objects of all public dictionaries, by requesting the
+   * pages of the server's dictionary index one after the other (until one is
+   * not full, has no new dictionaries, or `maxDictIndexPages` were
+   * requested), and calls back with them (unsorted) and the errors of the
+   * pages that failed in lenient mode
+   */
+  getDictIndex(options, cb) {
+    const lenient = this.isLenient(options);
+    const errors = [];
+    const names = new Set(); // the index can shift while it is being paged
+    let arr = [];
+
+    const requestIndexPage = indexPage => {
+      const url = this.prepareDictIndexURL(indexPage);
+      this.logger.debug('URL: ' + url);
+
+      this.enqueueRequest(url, this.getRequestOptions(options), (err, res) => {
+        if (err) {
+          if (!lenient) return cb(err);
+          errors.push(err); // keep the dictInfo objects gathered so far
+        }
+
+        const dicts = (!err && Array.isArray(res)) ? res : [];
+        const newDicts = dicts.filter(dict => !names.has(dict.name));
+        newDicts.forEach(dict => {
+          names.add(dict.name);
+          if (dict.public !== false)
+            arr = arr.concat(this.mapPubDictResToDictInfoObj(dict));
+        });
+
+        // a server that ignores `page` would return the same page forever
+        const hasNextPage = dicts.length === this.dictIndexPageSize
+          && newDicts.length > 0;
+        if (hasNextPage && indexPage < this.maxDictIndexPages)
+          return requestIndexPage(indexPage + 1);
+        if (hasNextPage)
+          this.logger.warn('Stopped paging the dictionary index after ' +
+            indexPage + ' pages');
+
+        cb(null, arr, errors);
+      });
+    };
+
+    requestIndexPage(1);
+  }
+
   getEntries(options, cb) {
+    if (typeof cb !== 'function')
+      return toPromise(cb => this.getEntries(options, cb));
+
     let optionsCloned = deepClone(options);
 
     // if no `filter` is given, pubDictionaries does not support
@@ -133,7 +380,7 @@ module.exports = class PubDictionaries extends Dictionary {
     if (!options.hasOwnProperty('filter') ||
       (!hasProperFilterDictIDProperty(optionsCloned)
         && !hasProperFilterIDProperty(optionsCloned))) {
-      let err = { status: 404, error: 'Not supported' };
+      let err = createError(errorCodes.NOT_SUPPORTED, 404, 'Not supported');
       return cb(err);
     }
 
@@ -144,11 +391,17 @@ module.exports = class PubDictionaries extends Dictionary {
       );
 
       if (idList.length === 0) {
-        return cb(null, { items: [] });
+        return cb(null, this.addPageInfo(
+          this.getResult([], this.isLenient(options), []), options, false, 0));
       }
 
       // keep only the pubDictionary dictIDs
       optionsCloned.filter.dictID = idList;
+
+      // page through all entries of several dictionaries as one list
+      const dictNames = removeDuplicates(this.getDictNamesFromArray(idList));
+      if (!hasProperFilterIDProperty(optionsCloned) && dictNames.length > 1)
+        return this.getEntriesOfDicts(dictNames, options, optionsCloned, cb);
     }
 
     // Hack option for getting all results from PubDictionaries
@@ -160,22 +413,20 @@ module.exports = class PubDictionaries extends Dictionary {
     const urlArray = this.buildEntryURLs(optionsCloned);
     let callsRemaining = urlArray.length;
     const urlToResultsMap = new Map();
+    const lenient = this.isLenient(options);
+    const errors = [];
     let answered = false;
 
     for (let url of urlArray) {
-      if (this.enableLog)
-        console.log('URL: ' + url);
+      this.logger.debug('URL: ' + url);
 
       urlToResultsMap.set(url, []);
 
-      this.request(url, (err, res) => {
+      this.enqueueRequest(url, this.getRequestOptions(options), (err, res) => {
         if (err) {
-          if (!answered) {
-            // make proper error object when dictionary name does not exist
-            if (typeof(err.message) !== 'undefined'
-              && err.message.includes('Unknown dictionary')) {
-              err = { error: err.message, status: 404 };
-            }
+          if (lenient) {
+            errors.push(err); // `res` is already set to []
+          } else if (!answered) {
             answered = true;
             --callsRemaining;
             return cb(err);
@@ -191,8 +442,12 @@ module.exports = class PubDictionaries extends Dictionary {
         if (callsRemaining <= 0) {
           /**
            * Gather all results in one array
-           * 1) re-arrange entries when requesting specific ids (in case
-           * of duplicate entries with the same id, but different dictID)
+           * 0) merge the entries with the same id, if `mergeDuplicates`
+           * 1) when requesting specific ids, sort entries according to
+           * `options.sort`, or re-arrange them when asked for the
+           * 'firstUniqueID' order (in case of duplicate entries with the same
+           * id, but different dictID); a page of `entries.json` keeps the
+           * order of the server, unless sorted by `id` or `str`
            * 2) z-prune objects
            * 3) trim entry objects based on the `getAllResults` and
            * `options.filter.id` options
@@ -202,21 +457,182 @@ module.exports = class PubDictionaries extends Dictionary {
           for (let entryObjArray of urlToResultsMap.values())
             arr = arr.concat(entryObjArray);
 
-          // rearrange entries
-          arr = this.reArrangeEntries(arr, optionsCloned);
+          // fold the entries with the same id into one, when asked for
+          if (optionsCloned.mergeDuplicates)
+            arr = this.mergeDuplicateEntries(arr, optionsCloned);
+          const pageInfo = this.getEntryPageInfo(arr.length, optionsCloned);
+
+          // sort or rearrange the entries of `find_terms.json`
+          if (hasProperFilterIDProperty(optionsCloned))
+            arr = (optionsCloned.sort === 'firstUniqueID')
+              ? this.reArrangeEntries(arr, optionsCloned)
+              : this.sortEntries(arr, optionsCloned);
+          else arr = this.sortEntryPage(arr, optionsCloned);
 
           // z-prune and trim results
           arr = this.trimEntryObjArray(
             Dictionary.zPropPrune(arr, optionsCloned.z), optionsCloned);
 
-          if (!answered) cb(err, {items: arr});
+          if (!answered) cb(null, this.addPageInfo(
+            this.getResult(arr, lenient, errors), options,
+            pageInfo.hasMore, pageInfo.totalCount));
         }
       });
     }
   }
 
+  /**
+   * Gets a page of the entries of several dictionaries, as if their entries
+   * were one list: sorted by dictID, and then in the order of the server
+   * (by label). The number of entries of every dictionary (`entries_num`)
+   * gives the offsets of the requested page in the dictionaries, and then
+   * only the pages of `entries.json` that overlap with it are requested.
+   */
+  getEntriesOfDicts(dictNames, options, optionsCloned, cb) {
+    const lenient = this.isLenient(options);
+    const page = this.getPage(optionsCloned);
+    const pageSize = this.getPageSize(optionsCloned);
+    const names = dictNames.slice().sort(str_cmp);
+
+    this.getEntryCounts(names, options, (err, counts, errors) => {
+      if (err) return cb(err);
+
+      const parts = this.getEntryPageParts(names, counts, page, pageSize);
+      const urls = parts.reduce((arr, part) => arr.concat(part.urls), []);
+      const urlToResultsMap = new Map(urls.map(url => [url, []]));
+      let callsRemaining = urls.length;
+      let answered = false;
+
+      const finish = () => {
+        let arr = [];
+        for (let part of parts) {
+          const partArr = part.urls.reduce((partArr, url) =>
+            partArr.concat(urlToResultsMap.get(url)), []);
+          arr = arr.concat(partArr.slice(part.start, part.end));
+        }
+        arr = this.sortEntryPage(arr, optionsCloned);
+
+        const totalCount = names.reduce((sum, name) => sum + counts[name], 0);
+        cb(null, this.addPageInfo(
+          this.getResult(Dictionary.zPropPrune(arr, optionsCloned.z),
+            lenient, errors), options,
+          page * pageSize < totalCount, totalCount));
+      };
+
+      if (callsRemaining === 0) return finish();
+
+      for (let url of urls) {
+        this.logger.debug('URL: ' + url);
+
+        this.enqueueRequest(url, this.getRequestOptions(options),
+          (err, res) => {
+            if (err) {
+              if (lenient) {
+                errors.push(err); // `res` is already set to []
+              } else if (!answered) {
+                answered = true;
+                return cb(err);
+              }
+            } else {
+              urlToResultsMap.set(url,
+                this.mapPubDictEntriesResToEntryObj(res, url));
+            }
+
+            if (--callsRemaining === 0 && !answered) finish();
+          });
+      }
+    });
+  }
+
+  /**
+   * Calls back with an object that maps the given dictionary names to their
+   * number of entries, and the errors of the failed requests in lenient
+   * error mode. A dictionary that does not exist gives an UNKNOWN_DICTIONARY
+   * error (and counts as having no entries in lenient error mode)
+   */
+  getEntryCounts(dictNames, options, cb) {
+    const dictInfoOptions = {
+      filter: {
+        id: dictNames.map(name => 'https://' + this.pubDictIdURI + '/' + name)
+      },
+      page: 1,
+      perPage: dictNames.length,
+      z: ['entries_num'],
+      errorMode: this.isLenient(options) ? 'lenient' : 'strict',
+      signal: options.signal,
+      timeout: options.timeout
+    };
+
+    this.getDictInfos(dictInfoOptions, (err, res) => {
+      if (err) return cb(err);
+
+      // `getDictInfos` leaves out the dictionaries that do not exist, and
+      // (in lenient error mode) the ones whose request failed
+      const errors = res.errors || [];
+      const unknownErrors = dictNames
+        .filter((name, i) =>
+          !res.items.some(dictInfo => dictInfo.name === name)
+          && !errors.some(err => err.dictID === dictInfoOptions.filter.id[i]))
+        .map(name => this.createRequestError(
+          this.prepareDictInfoSearchURL(name), errorCodes.UNKNOWN_DICTIONARY,
+          404, 'Unknown dictionary: ' + name + '.', null));
+      if (unknownErrors.length && !this.isLenient(options))
+        return cb(unknownErrors[0]);
+
+      const counts = dictNames.reduce((obj, name) => {
+        obj[name] = 0;
+        return obj;
+      }, {});
+      res.items.forEach(dictInfo => {
+        const count = dictInfo.z && dictInfo.z.entries_num;
+        if (Number.isInteger(count) && count > 0) counts[dictInfo.name] = count;
+      });
+
+      cb(null, counts, errors.concat(unknownErrors));
+    });
+  }
+
+  /**
+   * Returns, for the dictionaries (in order) that overlap with the given
+   * page of all their entries, the URLs of the (one or two) `entries.json`
+   * pages of `pageSize` that hold the overlap, and the `start` and `end`
+   * of the overlap within the entries of these pages together
+   */
+  getEntryPageParts(dictNames, counts, page, pageSize) {
+    const pageStart = (page - 1) * pageSize;
+    const pageEnd = page * pageSize;
+    const parts = [];
+
+    let dictStart = 0; // the offset of the dictionary in all entries
+    for (let name of dictNames) {
+      const dictEnd = dictStart + counts[name];
+      const from = Math.max(pageStart, dictStart) - dictStart;
+      const to = Math.min(pageEnd, dictEnd) - dictStart;
+
+      if (from < to) {
+        const firstPage = Math.floor(from / pageSize) + 1;
+        const lastPage = Math.floor((to - 1) / pageSize) + 1;
+        const urls = [];
+        for (let p = firstPage; p <= lastPage; p++)
+          urls.push(this.prepareEntryPageURL(name, p, pageSize));
+
+        const offset = (firstPage - 1) * pageSize;
+        parts.push({ urls: urls, start: from - offset, end: to - offset });
+      }
+
+      dictStart = dictEnd;
+    }
+
+    return parts;
+  }
+
   getEntryMatchesForString(str, options, cb) {
-    if ((!str) || (str.trim() === '')) return cb(null, {items: []});
+    if (typeof cb !== 'function')
+      return toPromise(cb => this.getEntryMatchesForString(str, options, cb));
+
+    if ((!str) || (str.trim() === ''))
+      return cb(null, this.addPageInfo(
+        this.getResult([], this.isLenient(options), []), options, false, 0));
 
     // if request is not for some pubDictionaries, return empty result
     let optionsCloned = deepClone(options);
@@ -226,13 +642,37 @@ module.exports = class PubDictionaries extends Dictionary {
       );
 
       if (idList.length === 0) {
-        return cb(null, { items: [] });
+        return cb(null, this.addPageInfo(
+          this.getResult([], this.isLenient(options), []), options, false, 0));
       }
 
       // keep only the pubDictionaries dictIDs
       optionsCloned.filter.dictID = idList;
     }
 
+    if (!this.normalizeQuery)
+      return this.requestEntryMatches(str, options, optionsCloned, cb);
+
+    // the stop-word lists of the dictionaries are needed first
+    const obj = this.splitDicts(optionsCloned);
+    const dictNames = this.getDictNamesFromArray(obj.pref.concat(obj.rest));
+    this.loadStopWords(dictNames, options, () => {
+      // skip queries made only of stop words for all dictionaries
+      if (dictNames.length > 0 && dictNames.every(dictName =>
+        this.normalizeQueryString(str, dictName) === ''))
+        return cb(null, this.addPageInfo(
+          this.getResult([], this.isLenient(options), []), options, false, 0));
+
+      this.requestEntryMatches(str, options, optionsCloned, cb);
+    });
+  }
+
+  /**
+   * Sends the requests of `getEntryMatchesForString` (whose options, with
+   * only the pubDictionaries dictIDs, are in `optionsCloned`) and calls back
+   * with the merged, sorted and trimmed results
+   */
+  requestEntryMatches(str, options, optionsCloned, cb) {
     const matchURLs = this.buildMatchURLs(str, optionsCloned);
     const urlArray = matchURLs[0];
     const prefDictNum = matchURLs[1]; // how many "preferred" dictionaries
@@ -240,34 +680,39 @@ module.exports = class PubDictionaries extends Dictionary {
 
     // If no URLs, return error with appropriate message
     if (urlArray.length === 0) {
-      let err = { status: 404, error: 'Not supported: either only sort.dictID' +
-          '\'s present and page > 1 or no dictIDs to filter at all' };
+      let err = createError(errorCodes.NOT_SUPPORTED, 404,
+        'Not supported: either only sort.dictID\'s present and page > 1 ' +
+        'or no dictIDs to filter at all');
       return cb(err);
     }
 
     let callsRemaining = urlArray.length;
     let urlToResultsMap = new Map();
+    const lenient = this.isLenient(options);
+    const errors = [];
     let answered = false;
+    // whether a dictionary may have more matches after the requested page
+    let hasMore = false;
 
     for (let url of urlArray) {
-      if (this.enableLog)
-        console.log('URL: ' + url);
+      this.logger.debug('URL: ' + url);
 
       urlToResultsMap.set(url, []);
 
-      this.request(url, (err, res) => {
+      this.enqueueRequest(url, this.getRequestOptions(options), (err, res) => {
         if (err) {
-          if (!answered) {
-            // make proper error object when dictionary name does not exist
-            if (typeof(err.message) !== 'undefined'
-              && err.message.includes('Unknown dictionary')) {
-              err = { error: err.message, status: 404 };
-            }
+          if (lenient) {
+            errors.push(err); // `res` is already set to []
+          } else if (!answered) {
             answered = true;
             --callsRemaining;
             return cb(err);
           }
         } else {
+          const matches = this.mapPubDictSearchResToMatchObj(res, url,
+            this.normalizeQueryString(str, this.getDictNamesFromURL(url)[0]));
+          if (matches.length >= this.getPageSize(optionsCloned)) hasMore = true;
+
           /**
            * 1) Remove duplicate entries, i.e. with the same (label+id) in a
            * single pubDictionary! (shouldn't happen usually)
@@ -275,8 +720,7 @@ module.exports = class PubDictionaries extends Dictionary {
            * more than `per_page` (shouldn't be needed if it worked as it should)
            */
           urlToResultsMap.set(url, this.trimMatchObjArray(
-            removeDuplicateEntries(
-              this.mapPubDictSearchResToMatchObj(res, url, str)), optionsCloned));
+            removeDuplicateEntries(matches), optionsCloned));
         }
 
         --callsRemaining;
@@ -306,14 +750,174 @@ module.exports = class PubDictionaries extends Dictionary {
             );
           }
 
+          if (arr.length > this.getPageSize(optionsCloned)) hasMore = true;
           arr = this.trimMatchObjArray(arr, optionsCloned);
 
-          if (!answered) cb(err, {items: arr});
+          if (!answered) cb(null, this.addPageInfo(
+            this.getResult(arr, lenient, errors), options, hasMore));
         }
       });
     }
   }
 
+  /**
+   * The error mode is 'strict' by default: one failing request makes the
+   * whole call fail. In 'lenient' mode (`options.errorMode` or the
+   * constructor's `errorMode`), the results of the successful requests are
+   * returned, along with the errors of the failed ones.
+   */
+  isLenient(options) {
+    const errorMode = (options.errorMode === 'strict'
+      || options.errorMode === 'lenient')
+      ? options.errorMode
+      : this.errorMode;
+    return errorMode === 'lenient';
+  }
+
+  /**
+   * Returns the result object of the main functions, which in lenient error
+   * mode also has the `errors` array of the failed requests
+   */
+  getResult(arr, lenient, errors) {
+    return lenient
+      ? { items: arr, errors: errors }
+      : { items: arr };
+  }
+
+  /**
+   * Adds the pagination metadata to the result object `res`, when asked for
+   * with `options.pageInfo` or the constructor's `pageInfo`: the `page` and
+   * `perPage` that were used, whether the next page may have results
+   * (`hasMore`), and the `totalCount` of the results, if it is known
+   */
+  addPageInfo(res, options, hasMore, totalCount) {
+    const pageInfo = (typeof options.pageInfo === 'boolean')
+      ? options.pageInfo
+      : this.pageInfo;
+    if (!pageInfo) return res;
+
+    res.hasMore = hasMore;
+    res.page = this.getPage(options);
+    res.perPage = this.getPageSize(options);
+    if (totalCount !== undefined) res.totalCount = totalCount;
+    return res;
+  }
+
+  /**
+   * Returns the `{ hasMore, totalCount }` pagination metadata of
+   * `getEntries`, for the `count` entries that were returned by the server:
+   * `find_terms.json` returns all entries with the requested ids, while
+   * `entries.json` returns one page (of unknown total), which may be
+   * followed by more when it is full
+   */
+  getEntryPageInfo(count, options) {
+    const page = this.getPage(options);
+    const pageSize = this.getPageSize(options);
+
+    if (!hasProperFilterIDProperty(options))
+      return { hasMore: count >= pageSize };
+
+    return {
+      hasMore: !options.getAllResults && page * pageSize < count,
+      totalCount: count
+    };
+  }
+
+  /**
+   * Returns an async iterator over all entries of the dictionary `dictID`
+   * (a dictID or a dictionary name), for use with `for await...of`.
+   * It requests the pages of `options.batchSize` entries from `entries.json`
+   * one after the other, until the server returns an empty page (or the
+   * same entries as the previous page, or `maxStreamPages` were requested),
+   * and yields their VSM entry objects (z-pruned with `options.z`).
+   * A failing request rejects the iteration, which then ends.
+   * (No async generator function is used, as the browser build does not
+   * include the runtime that it needs.)
+   */
+  streamEntries(dictID, options) {
+    const opt = options || {};
+    const dictName = getLastPartOfURL(dictID.trim());
+    const batchSize = (Number.isInteger(opt.batchSize) && opt.batchSize >= 1)
+      ? opt.batchSize
+      : this.streamBatchSize;
+
+    let page = 1;
+    let batch = [];
+    let done = false;
+    let prevIDs = null; // the ids of the previous page
+
+    const step = () => {
+      if (batch.length > 0)
+        return Promise.resolve({ value: batch.shift(), done: false });
+      if (done)
+        return Promise.resolve({ value: undefined, done: true });
+
+      const url = this.prepareEntryPageURL(dictName, page++, batchSize);
+      this.logger.debug('URL: ' + url);
+
+      return toPromise(cb =>
+        this.enqueueRequest(url, this.getRequestOptions(opt), cb))
+        .then(res => {
+          batch = Array.isArray(res)
+            ? Dictionary.zPropPrune(
+              this.mapPubDictEntriesResToEntryObj(res, url), opt.z)
+            : [];
+          // a server that ignores `page` would return the same page forever
+          const ids = batch.map(entry => entry.id).join('\n');
+          if (batch.length === 0 || ids === prevIDs) {
+            batch = [];
+            done = true;
+          } else if (page > this.maxStreamPages) {
+            done = true;
+            this.logger.warn('Stopped streaming the entries of ' + dictName +
+              ' after ' + this.maxStreamPages + ' pages');
+          }
+          prevIDs = ids;
+          return step();
+        }, err => {
+          done = true;
+          throw err;
+        });
+    };
+
+    // the steps are chained, so that calls of `next()` that do not wait for
+    // each other still get the entries in order
+    let pending = Promise.resolve();
+    const iterator = {
+      next: () => {
+        const result = pending.then(step);
+        pending = result.catch(() => {});
+        return result;
+      },
+      return: value => {
+        done = true;
+        batch = [];
+        return Promise.resolve({ value: value, done: true });
+      }
+    };
+    if (typeof Symbol.asyncIterator === 'symbol')
+      iterator[Symbol.asyncIterator] = () => iterator;
+
+    return iterator;
+  }
+
+  prepareEntryPageURL(dictName, page, pageSize) {
+    return this.urlGetEntriesForSpecificDict
+      .replace('$filterDictID', dictName)
+      .concat('?page=' + page + '&per_page=' + pageSize);
+  }
+
+  /**
+   * Same as the parent class's function, but it also returns a Promise
+   * when no callback is given
+   */
+  getMatchesForString(str, options, cb) {
+    if (typeof cb !== 'function')
+      return toPromise(cb => this.getMatchesForString(str, options, cb));
+
+    super.getMatchesForString(str, options, cb);
+  }
+
   buildDictInfoURLs(options) {
     let idList = [];
 
@@ -369,10 +973,12 @@ module.exports = class PubDictionaries extends Dictionary {
    */
   buildMatchURLs(str, options) {
     const obj = this.splitDicts(options);
+    // dictionaries for which the query has only stop words are skipped
+    const hasQuery = dictName => this.normalizeQueryString(str, dictName) !== '';
     // coming (mostly) out of `options.sort`
-    const pref = this.getDictNamesFromArray(obj.pref);
+    const pref = this.getDictNamesFromArray(obj.pref).filter(hasQuery);
     // coming (mostly) out of `options.filter`
-    const rest = this.getDictNamesFromArray(obj.rest);
+    const rest = this.getDictNamesFromArray(obj.rest).filter(hasQuery);
 
     let urls = [];
     // not supported by pubDictionaries
@@ -436,13 +1042,22 @@ module.exports = class PubDictionaries extends Dictionary {
 
   mapPubDictResToDictInfoObj(res) {
     // this response is per single pubDictionary
-    return [
-      {
-        id: this.urlGetDictInfos.
-          replace('$filterDictID', res.name).replace('.json', ''),
-        name: res.name // no `abbrev` property
-      }
-    ];
+    const dictInfo = {
+      id: this.urlGetDictInfos.
+        replace('$filterDictID', res.name).replace('.json', ''),
+      name: res.name // no `abbrev` property
+    };
+
+    if (typeof res.description === 'string' && res.description.trim() !== '')
+      dictInfo.descr = res.description.trim();
+
+    const z = this.dictInfoZProps.reduce((obj, prop) => {
+      if (res[prop] !== undefined) obj[prop] = res[prop];
+      return obj;
+    }, {});
+    if (Object.keys(z).length > 0) dictInfo.z = z;
+
+    return [dictInfo];
   }
 
   mapPubDictEntriesResToEntryObj(res, url) {
@@ -455,7 +1070,7 @@ module.exports = class PubDictionaries extends Dictionary {
       if (match) {
         dictName = match[1];
       } else {
-        if (this.enableLog) console.log('No dictionary name?');
+        this.logger.warn('No dictionary name in URL: ' + url);
       }
 
       let dictURL = 'https://' + this.pubDictIdURI + '/' + dictName;
@@ -495,7 +1110,7 @@ module.exports = class PubDictionaries extends Dictionary {
         return resObj;
       }, []);
     } else {
-      if (this.enableLog) console.log('Unknown endpoint for entries?');
+      this.logger.warn('Unknown endpoint for entries in URL: ' + url);
       return [];
     }
   }
@@ -508,7 +1123,7 @@ module.exports = class PubDictionaries extends Dictionary {
     if (match) {
       dictName = match[1];
     } else {
-      if (this.enableLog) console.log('No dictionary name?');
+      this.logger.warn('No dictionary name in URL: ' + url);
     }
 
     let dictURL = 'https://' + this.pubDictIdURI + '/' + dictName;
@@ -545,6 +1160,11 @@ module.exports = class PubDictionaries extends Dictionary {
     } else return url;
   }
 
+  prepareDictIndexURL(page) {
+    return this.urlGetAllDictInfos + '?page=' + page
+      + '&per_page=' + this.dictIndexPageSize;
+  }
+
   prepareEntrySearchURLs(options, searchIDs, dictNameArray) {
     let urlArray = [];
 
@@ -571,13 +1191,41 @@ module.exports = class PubDictionaries extends Dictionary {
         this.urlGetEntries.replace('$filterDictIDs', '') :
         this.urlGetEntries.replace('$filterDictIDs', dictNameArray.join(','));
 
-      urlArray = [searchURL.replace('$filterIDs',
-        fixedEncodeURIComponent(searchIDs.join('|')))];
+      urlArray = this.splitIDs(searchURL, removeDuplicates(searchIDs))
+        .map(ids => searchURL.replace('$filterIDs',
+          fixedEncodeURIComponent(ids.join('|'))));
     }
 
     return urlArray;
   }
 
+  /**
+   * Splits `ids` (keeping their order) into the batches that fit in a
+   * `searchURL` each, under the `maxIDsPerRequest` and `maxURLLength` limits
+   */
+  splitIDs(searchURL, ids) {
+    const baseLength = searchURL.replace('$filterIDs', '').length;
+    const separatorLength = fixedEncodeURIComponent('|').length;
+    const batches = [];
+    let batch = [];
+    let length = baseLength;
+
+    for (let id of ids) {
+      const idLength = fixedEncodeURIComponent(id).length;
+      if (batch.length > 0 && (batch.length >= this.maxIDsPerRequest
+        || length + separatorLength + idLength > this.maxURLLength)) {
+        batches.push(batch);
+        batch = [];
+        length = baseLength;
+      }
+      length += (batch.length > 0 ? separatorLength : 0) + idLength;
+      batch.push(id);
+    }
+    if (batch.length > 0) batches.push(batch);
+
+    return batches;
+  }
+
   prepareMatchStringSearchURLs(str, options, dictNameArray) {
     // pubDictionaries does not support looking for terms if no
     // specific dictionaries are given
@@ -585,11 +1233,10 @@ module.exports = class PubDictionaries extends Dictionary {
       return [];
     }
 
-    let searchURL = this.urlGetMatches
-      .replace('$queryString', fixedEncodeURIComponent(str));
-
-    let urlArray = dictNameArray.map(
-      dictName => searchURL.replace('$filterDictID', dictName));
+    let urlArray = dictNameArray.map(dictName => this.urlGetMatches
+      .replace('$queryString',
+        fixedEncodeURIComponent(this.normalizeQueryString(str, dictName)))
+      .replace('$filterDictID', dictName));
 
     // add paging
     const page = this.getPage(options);
@@ -601,36 +1248,562 @@ module.exports = class PubDictionaries extends Dictionary {
     return urlArray;
   }
 
-  request(url, cb) {
-    const req = this.getReqObj();
-    req.onreadystatechange = function () {
-      if (req.readyState === 4) {
-        if (req.status !== 200) {
-          let response = req.responseText;
-          isJSONString(response)
-            ? cb(JSON.parse(response))
-            : cb(JSON.parse('{ "status": ' + req.status
-              + ', "error": ' + JSON.stringify(response) + '}'));
-        }
-        else {
-          try {
-            const response = JSON.parse(req.responseText);
-            cb(null, response);
-          } catch (err) {
-            cb(err);
-          }
+  /**
+   * Returns the options for `request()` taken from the options given to the
+   * main functions: the `signal` to abort the requests and the `timeout`
+   */
+  getRequestOptions(options) {
+    return {
+      signal: options.signal,
+      timeout: options.timeout
+    };
+  }
+
+  /**
+   * Queues a request, to be sent with `request()` as soon as there are fewer
+   * than `maxConcurrentRequests` requests in flight. Queued requests are sent
+   * in the order they were added.
+   */
+  enqueueRequest(url, options, cb) {
+    const queued = { url, options, cb, start: Date.now(), unwatch: null };
+    this.requestQueue.push(queued);
+    this.dequeueRequests();
+    if (this.requestQueue.includes(queued)) this.watchQueuedRequest(queued);
+  }
+
+  /**
+   * Makes a request that is still waiting in the queue fail at once when it
+   * is aborted, or when its timeout has passed: the time spent in the queue
+   * counts toward the `timeout` of the request.
+   */
+  watchQueuedRequest(queued) {
+    const { url, options, cb } = queued;
+    const signal = options.signal;
+    const timeout = this.getTimeout(options);
+
+    const fail = err => {
+      this.requestQueue.splice(this.requestQueue.indexOf(queued), 1);
+      queued.unwatch();
+      this.getAnswer(url, queued.start, cb)(err);
+    };
+    const onAbort = () => fail(
+      this.createRequestError(url, errorCodes.ABORTED, 499, 'Aborted'));
+    const timer = (timeout > 0)
+      ? setTimeout(() => fail(this.createRequestError(url,
+        errorCodes.TIMEOUT, 408, 'Timeout')), timeout)
+      : null;
+
+    if (signal) signal.addEventListener('abort', onAbort);
+    queued.unwatch = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    if (signal && signal.aborted) onAbort();
+  }
+
+  dequeueRequests() {
+    while (this.requestQueue.length > 0
+      && this.activeRequests < this.maxConcurrentRequests) {
+      const queued = this.requestQueue.shift();
+      if (queued.unwatch) queued.unwatch();
+
+      // the request has the rest of its timeout after waiting in the queue
+      const timeout = this.getTimeout(queued.options);
+      const options = (timeout > 0)
+        ? Object.assign({}, queued.options, {
+          timeout: Math.max(timeout - (Date.now() - queued.start), 1)
+        })
+        : queued.options;
+
+      this.activeRequests++;
+      this.request(queued.url, options, (err, res) => {
+        this.activeRequests--;
+        this.dequeueRequests();
+        queued.cb(err, res);
+      });
+    }
+  }
+
+  /**
+   * Returns the timeout (in ms) of a request: `options.timeout` or else the
+   * default `timeout`
+   */
+  getTimeout(options) {
+    return hasProperTimeoutProperty(options)
+      ? options.timeout
+      : this.timeout;
+  }
+
+  /**
+   * Sends a GET request to the given URL through the transport (or gets the
+   * response from a cache, a replayed cassette or an identical request in
+   * flight) and calls back (only once) with the parsed JSON response or an
+   * error object.
+   * A request that is aborted with `options.signal` (an `AbortSignal`-like
+   * object) gives an `ABORTED` error (status 499) and one that takes more
+   * than `options.timeout` (or the default `timeout`) ms gives a `TIMEOUT`
+   * error (status 408).
+   */
+  request(url, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+
+    const signal = options.signal;
+    const timeout = this.getTimeout(options);
+    const answer = this.getAnswer(url, Date.now(), cb);
+
+    if (signal && signal.aborted)
+      return answer(this.createRequestError(url,
+        errorCodes.ABORTED, 499, 'Aborted'));
+
+    if (this.cache) {
+      const cachedRes = this.cache.get(url);
+      if (cachedRes !== undefined) {
+        this.logger.debug('Cached: ' + url);
+        return answer(null, cachedRes, 'cache');
+      }
+    }
+
+    if (this.diskCache) {
+      // when offline, an expired response is better than none
+      const storedRes = this.diskCache.get(url, this.offline);
+      if (storedRes !== undefined) {
+        this.logger.debug('Stored: ' + url);
+        if (this.cache) this.cache.set(url, storedRes, this.getCacheTTL(url));
+        return answer(null, storedRes, 'diskCache');
+      }
+    }
+
+    if (this.cassette && this.cassette.mode === 'replay') {
+      const recorded = this.cassette.get(url);
+      const [err, res] = recorded
+        ? this.parseResponse(recorded, url)
+        : [this.createRequestError(url, errorCodes.NOT_RECORDED, 504,
+          'Not recorded: ' + url)];
+      return answer(err, res, 'cassette');
+    }
+
+    if (this.offline) {
+      return answer(this.createRequestError(url, errorCodes.OFFLINE,
+        504, 'Offline: no cached response for ' + url));
+    }
+
+    let timer = null;
+    let done = false;
+
+    const finish = (err, res) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      answer(err, res, 'network');
+    };
+    const cancel = err => {
+      finish(err);
+      detach();
+    };
+    const onAbort = () => cancel(
+      this.createRequestError(url, errorCodes.ABORTED, 499, 'Aborted'));
+
+    if (signal) signal.addEventListener('abort', onAbort);
+    if (timeout > 0)
+      timer = setTimeout(() =>
+        cancel(this.createRequestError(url, errorCodes.TIMEOUT, 408,
+          'Timeout')), timeout);
+
+    const detach = this.sendShared(url, finish);
+  }
+
+  /**
+   * Returns the `(err, res, source)` function that answers a request to
+   * `url` (made at `start`): it records the statistics, lets the hooks know
+   * where the result came from, and calls back
+   */
+  getAnswer(url, start, cb) {
+    return (err, res, source) => {
+      const info = this.getRequestInfo(url, start);
+      this.stats.record(info.endpoint, this.getDictNamesFromURL(url), {
+        status: err ? err.status : null,
+        source: source,
+        duration: info.duration
+      });
+
+      if (err)
+        this.emitHook('onError', Object.assign(info,
+          { status: err.status, code: err.code, error: err }));
+      else
+        this.emitHook('onResult', Object.assign(info,
+          { status: 200, source: source }));
+      // call back outside of any Promise chain
+      callAsync(cb, err, res);
+    };
+  }
+
+  /**
+   * Returns the information about a request to `url` that the hooks get:
+   * the `url`, the `dictName` (comma-separated for multiple dictionaries,
+   * empty for all of them), the `endpoint` type, and the `duration` (in ms)
+   * since `start`
+   */
+  getRequestInfo(url, start) {
+    return {
+      url: url,
+      dictName: this.getDictNamesFromURL(url).join(','),
+      endpoint: this.getEndpointType(url),
+      duration: Date.now() - start
+    };
+  }
+
+  /**
+   * Calls the given hook (if any) with `info`. A failing hook is logged but
+   * does not affect the request.
+   */
+  emitHook(name, info) {
+    const hook = this.hooks[name];
+    if (typeof hook !== 'function') return;
+
+    try {
+      hook(info);
+    } catch (err) {
+      this.logger.error('Error in the `' + name + '` hook: ' + err.message);
+    }
+  }
+
+  /**
+   * Sends the request for `url` (with retries) and calls back with the
+   * result, or joins the request for the same URL that is already in flight
+   * (coalescing), so that all its callers get the same result.
+   * Returns a function that detaches the caller: the request is aborted
+   * when no callers are left.
+   */
+  sendShared(url, cb) {
+    let shared = this.inFlightRequests.get(url);
+
+    if (!shared) {
+      shared = {
+        callbacks: new Set(),
+        aborted: false,
+        // used to cancel the request on the transport level
+        controller: (typeof AbortController !== 'undefined')
+          ? new AbortController()
+          : null,
+        retryTimer: null
+      };
+      this.inFlightRequests.set(url, shared);
+
+      this.send(url, shared, 1, (err, res) => {
+        if (this.inFlightRequests.get(url) === shared)
+          this.inFlightRequests.delete(url);
+        if (!err && this.cache)
+          this.cache.set(url, res, this.getCacheTTL(url));
+        if (!err && this.diskCache)
+          this.diskCache.set(url, res);
+        shared.callbacks.forEach(f => f(err, res));
+      });
+    } else {
+      this.logger.debug('In flight: ' + url);
+    }
+
+    // wrap `cb`, so that the same function can join more than once
+    const callback = (err, res) => cb(err, res);
+    shared.callbacks.add(callback);
+
+    return () => {
+      shared.callbacks.delete(callback);
+      if (shared.callbacks.size === 0 && !shared.aborted) {
+        shared.aborted = true;
+        clearTimeout(shared.retryTimer);
+        if (this.inFlightRequests.get(url) === shared)
+          this.inFlightRequests.delete(url);
+        if (shared.controller) shared.controller.abort();
+      }
+    };
+  }
+
+  /**
+   * Sends the `attempt`-th request for `url` through the transport and,
+   * when it fails with a transient error, retries it after some delay
+   */
+  send(url, shared, attempt, cb) {
+    const start = Date.now();
+    this.emitHook('onRequest', Object.assign(this.getRequestInfo(url, start),
+      { attempt: attempt }));
+
+    // credentials are added only here, so they never end up in the caches
+    const auth = this.getAuth(url);
+    // a transport that throws is treated like one that rejects
+    Promise.resolve()
+      .then(() => this.transport(this.addAuthParam(url, auth), {
+        method: 'GET',
+        headers: this.getAuthHeaders(auth),
+        signal: shared.controller ? shared.controller.signal : undefined
+      }))
+      .then(res => res.text().then(text => ({
+        status: res.status,
+        text: text,
+        retryAfter: res.headers && res.headers.get
+          ? res.headers.get('Retry-After')
+          : null
+      })))
+      .catch(err => ({ status: 0, error: err }))
+      .then(response => {
+        this.emitHook('onResponse', Object.assign(
+          this.getRequestInfo(url, start),
+          { attempt: attempt, status: response.status }));
+
+        if (shared.aborted) return;
+        // a server that asks to wait longer than `maxDelay` is not retried
+        const delay = this.getRetryDelay(attempt, response.retryAfter);
+        if (attempt < this.retry.maxAttempts
+          && isRetriableStatus(response.status)
+          && delay <= this.retry.maxDelay) {
+          this.logger.warn('Retrying (' + response.status + '): ' + url);
+          shared.retryTimer = setTimeout(
+            () => this.send(url, shared, attempt + 1, cb), delay);
+        } else {
+          // network failures are not recorded, so they are retried when
+          // recording again
+          if (this.cassette && this.cassette.mode === 'record'
+            && response.status !== 0)
+            this.cassette.record(url, response);
+          cb(...this.parseResponse(response, url));
         }
+      });
+  }
+
+  /**
+   * Returns the credentials to use for `url`: the ones given for its host in
+   * `authByHost`, or else the default `auth` ones (or null)
+   */
+  getAuth(url) {
+    const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i.exec(url);
+    const host = match ? match[1].toLowerCase() : '';
+    return this.authByHost[host] || this.auth;
+  }
+
+  getAuthHeaders(auth) {
+    const headers = {};
+    if (!auth) return headers;
+
+    if (auth.token)
+      headers['Authorization'] = 'Bearer ' + auth.token;
+    if (auth.apiKey && !auth.apiKeyParam)
+      headers[auth.apiKeyHeader || 'X-API-Key'] = auth.apiKey;
+
+    return headers;
+  }
+
+  addAuthParam(url, auth) {
+    if (!auth || !auth.apiKey || !auth.apiKeyParam) return url;
+    return url + (url.includes('?') ? '&' : '?') + auth.apiKeyParam + '='
+      + fixedEncodeURIComponent(auth.apiKey);
+  }
+
+  /**
+   * Returns the `[err, res]` arguments for the callback of `request()`,
+   * based on the `status` and the `text` (or the transport's `error`) of
+   * the response
+   */
+  parseResponse(response, url) {
+    if (response.status === 0 && response.hasOwnProperty('error')) {
+      return [this.createRequestError(url, errorCodes.NETWORK, 0,
+        response.error.message, response.error)];
+    }
+
+    if (response.status !== 200) {
+      const json = isJSONString(response.text)
+        ? JSON.parse(response.text)
+        : null;
+
+      // missing or wrong credentials for a private dictionary
+      if (response.status === 401 || response.status === 403) {
+        return [this.createRequestError(url, errorCodes.UNAUTHORIZED,
+          response.status, 'Not authorized', json)];
       }
+
+      if (json && typeof json.message === 'string'
+        && json.message.includes('Unknown dictionary')) {
+        return [this.createRequestError(url, errorCodes.UNKNOWN_DICTIONARY,
+          404, json.message, json)];
+      }
+
+      return [this.createRequestError(url, errorCodes.HTTP, response.status,
+        response.text, json)];
+    }
+
+    try {
+      return [null, JSON.parse(response.text)];
+    } catch (err) {
+      return [this.createRequestError(url, errorCodes.PARSE, response.status,
+        err.message, err)];
+    }
+  }
+
+  /**
+   * Returns an error object for a request to `url`, which includes the
+   * dictID, when the URL is about a single dictionary
+   */
+  createRequestError(url, code, status, error, cause) {
+    const dictNames = this.getDictNamesFromURL(url);
+    return createError(code, status, error, {
+      url: url,
+      dictID: (dictNames.length === 1)
+        ? 'https://' + this.pubDictIdURI + '/' + dictNames[0]
+        : null,
+      cause: cause
+    });
+  }
+
+  /**
+   * Returns the TTL for the cached response of `url`, based on the type of
+   * endpoint that it calls (or the default TTL of the cache)
+   */
+  getCacheTTL(url) {
+    const ttl = this.cacheTTLs[this.getEndpointType(url)];
+    return (Number.isInteger(ttl) && ttl >= 0) ? ttl : this.cache.ttl;
+  }
+
+  /**
+   * Returns the usage statistics of the requests since the creation of this
+   * instance or the last `resetStats()`: the number of requests, the error
+   * counts by status, the cache hits and the p50/p95 latency (in ms), grouped
+   * by endpoint type (`byEndpoint`) and by dictionary name (`byDictionary`)
+   */
+  getStats() {
+    return this.stats.get();
+  }
+
+  resetStats() {
+    this.stats.reset();
+  }
+
+  /**
+   * Empties the response caches (in-memory and persistent)
+   */
+  clearCache() {
+    if (this.cache) this.cache.clear();
+    if (this.diskCache) this.diskCache.clear();
+  }
+
+  /**
+   * Removes from the response cache all responses that concern the given
+   * dictionary (a dictID or a dictionary name), e.g. after it was updated.
+   * This includes the `find_terms.json` responses for all dictionaries.
+   */
+  invalidateDictionary(dictID) {
+    const dictName = getLastPartOfURL(dictID.trim());
+    const concernsDict = url => {
+      const dictNames = this.getDictNamesFromURL(url);
+      return dictNames.length === 0 || dictNames.includes(dictName);
     };
-    req.open('GET', url, true);
-    req.send();
+
+    if (this.cache) this.cache.deleteWhere(concernsDict);
+    if (this.diskCache) this.diskCache.deleteWhere(concernsDict);
+    this.stopWords.delete(dictName);
   }
 
-  getReqObj() {
-    return new (typeof XMLHttpRequest !== 'undefined'
-      ? XMLHttpRequest // In browser
-      : require('xmlhttprequest').XMLHttpRequest  // In Node.js
-    )();
+  /**
+   * Gets the stop-word lists of the given dictionaries that are not known
+   * yet, from their dictInfo responses. A dictionary that does not exist
+   * gets empty lists, while one whose request fails is tried again the
+   * next time (and its queries are not normalized in the meantime).
+   * It calls back (without arguments) when all requests have finished.
+   */
+  loadStopWords(dictNames, options, cb) {
+    const names = removeDuplicates(dictNames)
+      .filter(dictName => !this.stopWords.has(dictName));
+    let callsRemaining = names.length;
+    if (callsRemaining === 0) return cb();
+
+    const toSet = words => new Set((Array.isArray(words) ? words : [])
+      .map(word => word.toLowerCase()));
+
+    for (let dictName of names) {
+      const url = this.prepareDictInfoSearchURL(dictName);
+      this.enqueueRequest(url, this.getRequestOptions(options), (err, res) => {
+        if (!err || err.code === errorCodes.UNKNOWN_DICTIONARY) {
+          const dictRes = res || {};
+          this.stopWords.set(dictName, {
+            noTermWords: toSet(dictRes.no_term_words),
+            noBeginWords: toSet(dictRes.no_begin_words),
+            noEndWords: toSet(dictRes.no_end_words)
+          });
+        }
+
+        if (--callsRemaining === 0) cb();
+      });
+    }
+  }
+
+  /**
+   * Returns the query string for the given dictionary, without its leading
+   * `no_begin_words` and trailing `no_end_words`, or '' when it is made only
+   * of `no_term_words` (or of words that are all stripped), e.g. 'the'.
+   * Without query normalization or stop-word lists, `str` is returned as is.
+   */
+  normalizeQueryString(str, dictName) {
+    const lists = this.normalizeQuery && this.stopWords.get(dictName);
+    if (!lists) return str;
+
+    let words = str.trim().split(/\s+/);
+    if (words.every(word => lists.noTermWords.has(word.toLowerCase())))
+      return '';
+
+    while (words.length > 0 && lists.noBeginWords.has(words[0].toLowerCase()))
+      words.shift();
+    while (words.length > 0
+      && lists.noEndWords.has(words[words.length - 1].toLowerCase()))
+      words.pop();
+
+    return words.join(' ');
+  }
+
+  /**
+   * Returns the type of PubDictionaries endpoint that `url` calls:
+   * 'completion', 'entries' (`entries.json` or `find_terms.json`)
+   * or 'dictinfo'
+   */
+  getEndpointType(url) {
+    if (url.includes('_completion')) return 'completion';
+    else if (url.includes('entries.json') || url.includes('find_terms.json'))
+      return 'entries';
+    else return 'dictinfo';
+  }
+
+  /**
+   * Returns the names of the dictionaries that a request URL is about, or an
+   * empty array for a `find_terms.json` URL about all dictionaries
+   */
+  getDictNamesFromURL(url) {
+    const findTermsMatch = /[?&]dictionaries=([^&]*)/.exec(url);
+    if (findTermsMatch) {
+      return findTermsMatch[1].split(',')
+        .filter(dictName => dictName !== '');
+    }
+
+    const match = /dictionaries\/(.*?)(\.json|\/)/.exec(url);
+    return match ? [match[1]] : [];
+  }
+
+  /**
+   * Returns the time (in ms) to wait before the next attempt of a request,
+   * after `attempt` attempts have failed. A `Retry-After` header value, in
+   * seconds or as an HTTP-date, has precedence over the exponential backoff,
+   * which is capped at `retry.maxDelay`.
+   */
+  getRetryDelay(attempt, retryAfter) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const delay = this.retry.baseDelay * Math.pow(2, attempt - 1);
+    return Math.min(this.retry.maxDelay,
+      delay * (1 + this.retry.jitter * (2 * Math.random() - 1)));
   }
 
   sortEntries(arr, options) {
@@ -648,6 +1821,17 @@ module.exports = class PubDictionaries extends Dictionary {
         || str_cmp(a.id, b.id));
   }
 
+  /**
+   * Sorts a page of `entries.json` entries by `id` or `str`, when asked for.
+   * This order only holds within the page; otherwise, the page keeps the
+   * order that all pages follow (by dictID, and then the server's order)
+   */
+  sortEntryPage(arr, options) {
+    return (options.sort === 'id' || options.sort === 'str')
+      ? this.sortEntries(arr, options)
+      : arr;
+  }
+
   sortMatches(arr) {
     return arr.sort((a, b) =>
       str_cmp(a.type, b.type)
@@ -730,6 +1914,51 @@ module.exports = class PubDictionaries extends Dictionary {
     }
   }
 
+  /**
+   * Merges the entries with the same id (from different dictionaries) into
+   * one entry, in the place of the first one. The entry of the preferred
+   * dictionary is kept: the first one in `options.mergeDuplicates.dictID`
+   * (as `sort.dictID` does for the matches), or else the first one by
+   * dictID. Its `terms` get the other entries' terms that it does not have
+   * yet, and its `z.alsoIn` lists the other dictIDs (in the same order of
+   * preference). Entries that have no duplicates are kept as they are.
+   */
+  mergeDuplicateEntries(arr, options) {
+    const merge = options.mergeDuplicates;
+    const prefDictNames = (merge && Array.isArray(merge.dictID))
+      ? this.getDictNamesFromArray(merge.dictID)
+      : [];
+    const rank = entry => {
+      const index = prefDictNames.indexOf(getLastPartOfURL(entry.dictID));
+      return (index === -1) ? prefDictNames.length : index;
+    };
+
+    const idToEntries = new Map();
+    for (let entry of arr) {
+      if (!idToEntries.has(entry.id)) idToEntries.set(entry.id, []);
+      idToEntries.get(entry.id).push(entry);
+    }
+
+    return Array.from(idToEntries.values()).map(entries => {
+      if (entries.length === 1) return entries[0];
+
+      entries.sort((a, b) => rank(a) - rank(b)
+        || str_cmp(a.dictID, b.dictID));
+
+      const terms = [];
+      for (let entry of entries)
+        for (let term of entry.terms)
+          if (!terms.some(t => t.str === term.str)) terms.push(term);
+
+      return Object.assign({}, entries[0], {
+        terms: terms,
+        z: Object.assign({}, entries[0].z, {
+          alsoIn: entries.slice(1).map(entry => entry.dictID)
+        })
+      });
+    });
+  }
+
   /**
    * @param arr Array of objects with an `id` property
    */
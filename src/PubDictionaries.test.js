@@ -5,18 +5,33 @@ const expect = chai.expect;
 const assert = chai.assert;
 const nock = require('nock');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 describe('PubDictionaries.js', () => {
   const testURLBase = 'http://test';
   const pubDictTestURLBase = 'https://pubdictionaries.org';
 
+  // a response of a custom transport, with a string or JSON `body` and
+  // optional headers (a name => value object)
+  const makeResponse = (status, body, headers) => ({
+    status: status,
+    headers: { get: name => (headers && headers[name]) || null },
+    text: () => Promise.resolve(
+      (typeof body === 'string') ? body : JSON.stringify(body))
+  });
+  // a custom transport that answers with the response `fn(url, init)`
+  const makeTransport = fn => (url, init) => Promise.resolve(fn(url, init));
+
+  // `nock` intercepts only the requests made by the legacy XHR transport
   // dict uses the `mixed_completion` endpoint
-  const dict = new PubDictionaries({ baseURL: testURLBase, log: true });
+  const dict = new PubDictionaries({
+    baseURL: testURLBase, log: true, transport: 'xhr' });
   // dict2 uses the `substring_completion` endpoint
   const dict2 = new PubDictionaries({
-    baseURL: testURLBase, log: true, suggest: 'substring'});
-  const dictPub = new PubDictionaries({ baseURL: pubDictTestURLBase, log: true });
+    baseURL: testURLBase, log: true, suggest: 'substring', transport: 'xhr' });
+  const dictPub = new PubDictionaries({
+    baseURL: pubDictTestURLBase, log: true, transport: 'xhr' });
 
   const melanomaStr = 'melanoma';
   const noResultsStr = 'somethingThatDoesNotExist';
@@ -46,6 +61,35 @@ describe('PubDictionaries.js', () => {
   const pubDictFindTermsEndpointResultsJSONString =
     fs.readFileSync(jsonFindTermsResults, 'utf8');
 
+  // the dictInfo object that the MONDO dictionary's JSON maps to
+  const mondoDictInfo = JSON.parse(mondoDictInfoJSONString);
+  const getMONDODictInfoObj = id => ({
+    id: id,
+    name: 'MONDO',
+    descr: mondoDictInfo.description.trim(),
+    z: {
+      entries_num: 121357,
+      created_at: '2019-07-11T18:15:35.434Z',
+      updated_at: '2020-04-28T17:27:02.076Z',
+      public: true,
+      license: null,
+      license_url: null,
+      user_id: 1,
+      no_term_words: mondoDictInfo.no_term_words,
+      no_begin_words: mondoDictInfo.no_begin_words,
+      no_end_words: mondoDictInfo.no_end_words
+    }
+  });
+
+  const notSupportedError = {
+    code: 'NOT_SUPPORTED',
+    status: 404,
+    error: 'Not supported',
+    url: null,
+    dictID: null,
+    cause: null
+  };
+
   const expectedTP53MatchObjArray = [
     {
       id: 'https://www.uniprot.org/uniprot/P04637',
@@ -183,8 +227,12 @@ describe('PubDictionaries.js', () => {
         id : [pubDictTestURLBase + '/dictionaries/nonValidDictionaryNameeeee']
       }},(err, res) => {
         err.should.deep.equal({
+          code: 'HTTP',
           status: 404,
-          error: '<h1>Not Found</h1>'
+          error: '<h1>Not Found</h1>',
+          url: pubDictTestURLBase + errorNonValidDictionaryNameURL,
+          dictID: pubDictTestURLBase + '/dictionaries/nonValidDictionaryNameeeee',
+          cause: null
         });
         assert.typeOf(res, 'undefined');
         cb();
@@ -197,18 +245,37 @@ describe('PubDictionaries.js', () => {
       dictPub.getDictInfos({ filter: { id : [pubDictTestURLBase + '/dictionaries/MONDO']}},
         (err, res) => {
           expect(err).to.equal(null);
-          res.should.deep.equal(
-            { items: [
-              {
-                id: pubDictTestURLBase + '/dictionaries/MONDO',
-                name: 'MONDO'
-              }
-            ]}
-          );
+          res.should.deep.equal({ items: [
+            getMONDODictInfoObj(pubDictTestURLBase + '/dictionaries/MONDO')
+          ]});
           cb();
         });
     });
 
+    it('prunes the `z` object of the dictInfo objects with the `z` option',
+      cb => {
+        nock(pubDictTestURLBase).get(searchMONDOdict).times(2)
+          .reply(200, mondoDictInfoJSONString);
+        const filter = { id: [pubDictTestURLBase + '/dictionaries/MONDO'] };
+
+        dictPub.getDictInfos({ filter: filter, z: ['entries_num', 'license'] },
+          (err, res) => {
+            expect(err).to.equal(null);
+            res.items[0].z.should.deep.equal(
+              { entries_num: 121357, license: null });
+
+            dictPub.getDictInfos({ filter: filter, z: [] }, (err, res) => {
+              expect(err).to.equal(null);
+              res.items.should.deep.equal([{
+                id: pubDictTestURLBase + '/dictionaries/MONDO',
+                name: 'MONDO',
+                descr: mondoDictInfo.description.trim()
+              }]);
+              cb();
+            });
+          });
+      });
+
     it('returns empty result without sending request to the pubDictionaries ' +
       'server because of the trimming of results casued by the `page` ' +
       'option', cb => {
@@ -239,12 +306,175 @@ describe('PubDictionaries.js', () => {
       });
     });
 
-    it('returns an error object when the request is for all pubDictionaries', cb => {
-      dictPub.getDictInfos({},
-        (err, res) => {
+    it('lists all public dictionaries from the pages of the dictionary ' +
+      'index, sorted by dictID and trimmed to the requested page', cb => {
+      const dictI = new PubDictionaries({
+        baseURL: pubDictTestURLBase, transport: 'xhr' });
+      dictI.dictIndexPageSize = 2;
+      nock(pubDictTestURLBase)
+        .get('/dictionaries.json?page=1&per_page=2')
+        .reply(200, [{ name: 'MONDO', description: 'diseases' },
+          { name: 'private', public: false }])
+        .get('/dictionaries.json?page=2&per_page=2')
+        .reply(200, [{ name: 'human-UniProt' }, { name: 'GO' }])
+        .get('/dictionaries.json?page=3&per_page=2')
+        .reply(200, [{ name: 'MONDO', description: 'diseases' }]);
+
+      dictI.getDictInfos({ page: 1, perPage: 2 }, (err, res) => {
+        expect(err).to.equal(null);
+        res.should.deep.equal({ items: [
+          { id: pubDictTestURLBase + '/dictionaries/GO', name: 'GO' },
+          { id: pubDictTestURLBase + '/dictionaries/human-UniProt',
+            name: 'human-UniProt' }
+        ]});
+
+        // the index pages are not cached, so they are requested again
+        nock(pubDictTestURLBase)
+          .get('/dictionaries.json?page=1&per_page=2')
+          .reply(200, [{ name: 'MONDO', description: 'diseases' }]);
+        dictI.getDictInfos({ page: 1 }, (err, res) => {
+          expect(err).to.equal(null);
+          res.items.should.deep.equal([{ id: pubDictTestURLBase +
+            '/dictionaries/MONDO', name: 'MONDO', descr: 'diseases' }]);
+          cb();
+        });
+      });
+    });
+
+    it('stops paging the dictionary index when a full page has no new ' +
+      'dictionaries, or after `maxDictIndexPages` pages', cb => {
+      const urls = [];
+      // a server that ignores `page`
+      const dictI = new PubDictionaries({
+        baseURL: testURLBase,
+        transport: makeTransport(url => {
+          urls.push(url);
+          return makeResponse(200, [{ name: 'A' }, { name: 'B' }]);
+        })
+      });
+      dictI.dictIndexPageSize = 2;
+
+      dictI.getDictInfos({}, (err, res) => {
+        expect(err).to.equal(null);
+        res.items.map(dictInfo => dictInfo.name)
+          .should.deep.equal(['A', 'B']);
+        urls.length.should.equal(2);
+
+        // a server that keeps returning full pages of new dictionaries
+        let n = 0;
+        const dictN = new PubDictionaries({
+          baseURL: testURLBase,
+          transport: makeTransport(() =>
+            makeResponse(200, [{ name: 'D' + n++ }, { name: 'D' + n++ }]))
+        });
+        dictN.dictIndexPageSize = 2;
+        dictN.maxDictIndexPages = 3;
+
+        dictN.getDictInfos({ perPage: 100 }, (err, res) => {
+          expect(err).to.equal(null);
+          res.items.length.should.equal(6);
+          n.should.equal(6);
+          cb();
+        });
+      });
+    });
+
+    it('returns an error object when a page of the dictionary index fails',
+      cb => {
+        nock(pubDictTestURLBase)
+          .get('/dictionaries.json?page=1&per_page=100')
+          .reply(500, 'Internal Server Error');
+
+        dictPub.getDictInfos({}, (err, res) => {
+          err.should.include({ code: 'HTTP', status: 500,
+            url: pubDictTestURLBase + '/dictionaries.json?page=1&per_page=100' });
           assert.typeOf(res, 'undefined');
-          err.should.deep.equal({ status: 404, error: 'Not supported' });
+          cb();
+        });
+      });
+
+    it('returns a Promise when no callback is given', () => {
+      nock(pubDictTestURLBase).get(searchMONDOdict)
+        .reply(200, mondoDictInfoJSONString);
+      return dictPub.getDictInfos({ filter: {
+        id : [pubDictTestURLBase + '/dictionaries/MONDO']
+      }}).then(res => {
+        res.should.deep.equal({ items: [
+          getMONDODictInfoObj(pubDictTestURLBase + '/dictionaries/MONDO')
+        ]});
+      });
+    });
+  });
+
+  describe('findDictInfos', () => {
+    const index = [
+      { name: 'PTO-all', description: 'Plant Trait Ontology' },
+      { name: 'human-UniProt', description: 'Human proteins from UniProt' },
+      { name: 'MONDO', description: 'diseases from the MONDO ontology' },
+      { name: 'MONDO-ja', description: 'MONDO in Japanese' },
+      { name: 'GO', description: 'Gene Ontology', public: false }
+    ];
+    const makeIndexDict = urls => new PubDictionaries({
+      baseURL: testURLBase,
+      transport: makeTransport(url => {
+        urls.push(url);
+        return makeResponse(200, index);
+      })
+    });
+
+    it('returns the dictionaries with a matching name or description, ' +
+      'ranked by relevance', cb => {
+      const urls = [];
+      const dictF = makeIndexDict(urls);
+
+      dictF.findDictInfos('ontology', { z: [] }, (err, res) => {
+        expect(err).to.equal(null);
+        res.items.map(dictInfo => dictInfo.name)
+          .should.deep.equal(['MONDO', 'PTO-all']);
+        urls.should.deep.equal(
+          [testURLBase + '/dictionaries.json?page=1&per_page=100']);
+
+        dictF.findDictInfos('Mondo', {}, (err, res) => {
+          expect(err).to.equal(null);
+          res.items.map(dictInfo => dictInfo.name)
+            .should.deep.equal(['MONDO', 'MONDO-ja']);
+          cb();
         });
+      });
+    });
+
+    it('pages the results and returns a Promise when no callback is given',
+      () => {
+        const dictF = makeIndexDict([]);
+        return dictF.findDictInfos('o', { page: 2, perPage: 3 })
+          .then(res => {
+            res.items.map(dictInfo => dictInfo.name)
+              .should.deep.equal(['PTO-all']);
+          });
+      });
+
+    it('returns an empty result for an empty search string, without ' +
+      'sending requests', cb => {
+      const urls = [];
+      makeIndexDict(urls).findDictInfos(' ', {}, (err, res) => {
+        expect(err).to.equal(null);
+        res.should.deep.equal({ items: [] });
+        urls.should.deep.equal([]);
+        cb();
+      });
+    });
+  });
+
+  describe('getDictInfoRank', () => {
+    it('ranks equal names first, then name prefixes, name substrings and ' +
+      'description substrings', cb => {
+      const dictInfo = { name: 'human-UniProt', descr: 'Human proteins' };
+      dict.getDictInfoRank(dictInfo, 'HUMAN-uniprot').should.equal(0);
+      dict.getDictInfoRank(dictInfo, 'human').should.equal(1);
+      dict.getDictInfoRank(dictInfo, 'uniprot').should.equal(2);
+      dict.getDictInfoRank(dictInfo, 'proteins').should.equal(3);
+      dict.getDictInfoRank(dictInfo, 'mouse').should.equal(-1);
+      dict.getDictInfoRank({ name: 'A' }, 'b').should.equal(-1);
       cb();
     });
   });
@@ -280,8 +510,12 @@ describe('PubDictionaries.js', () => {
         pubDictTestURLBase + errorNonValidDictionaryNameURL.replace('.json','')
       ]}},(err, res) => {
         err.should.deep.equal({
+          code: 'UNKNOWN_DICTIONARY',
+          status: 404,
           error: 'Unknown dictionary: nonValidDictionaryNameeeee.',
-          status: 404
+          url: pubDictTestURLBase + queryStr,
+          dictID: pubDictTestURLBase + '/dictionaries/nonValidDictionaryNameeeee',
+          cause: JSON.parse(errorNonValidDictionaryNameURLJSONString)
         });
         assert.typeOf(res, 'undefined');
         cb();
@@ -293,26 +527,380 @@ describe('PubDictionaries.js', () => {
       'or it is not in proper format', cb => {
       dictPub.getEntries({}, (err, res) => {
         assert.typeOf(res, 'undefined');
-        err.should.deep.equal({ status: 404, error: 'Not supported' });
+        err.should.deep.equal(notSupportedError);
       });
 
       dictPub.getEntries({filter: 'test'}, (err, res) => {
         assert.typeOf(res, 'undefined');
-        err.should.deep.equal({ status: 404, error: 'Not supported' });
+        err.should.deep.equal(notSupportedError);
       });
 
       dictPub.getEntries({filter: {id : ''}}, (err, res) => {
         assert.typeOf(res, 'undefined');
-        err.should.deep.equal({ status: 404, error: 'Not supported' });
+        err.should.deep.equal(notSupportedError);
       });
 
       dictPub.getEntries({filter: {dictID : []}}, (err, res) => {
         assert.typeOf(res, 'undefined');
-        err.should.deep.equal({ status: 404, error: 'Not supported' });
+        err.should.deep.equal(notSupportedError);
       });
 
       cb();
     });
+
+    it('returns a Promise that gets rejected with the error object when no ' +
+      'callback is given', () => {
+      return dictPub.getEntries({}).then(
+        () => { throw new Error('should not resolve') },
+        err => err.should.deep.equal(notSupportedError)
+      );
+    });
+
+    it('sorts the entries according to `options.sort` (by default ' +
+      '`dictID`), or keeps the first unique ids atop when asked', cb => {
+      const dictT = new PubDictionaries({
+        baseURL: testURLBase,
+        transport: makeTransport(() =>
+          makeResponse(200, pubDictFindTermsEndpointResultsJSONString))
+      });
+      const mondo = 'http://purl.obolibrary.org/obo/MONDO_';
+      const filter = { id: [mondo + '0024919', mondo + '0006872', '2', '5'] };
+      const toPairs = res => res.items.map(entry => [entry.id,
+        entry.z.dictAbbrev]);
+
+      dictT.getEntries({ filter: filter }, (err, res) => {
+        expect(err).to.equal(null);
+        toPairs(res).should.deep.equal([
+          [mondo + '0006872', 'MONDO'],
+          [mondo + '0024919', 'MONDO'],
+          ['2', 'ncbi_taxon'],
+          ['2', 'test_hpo_ja'],
+          ['5', 'test_hpo_ja']
+        ]);
+
+        dictT.getEntries({ filter: filter, sort: 'id' }, (err, res) => {
+          expect(err).to.equal(null);
+          toPairs(res).map(pair => pair[0]).should.deep.equal(
+            ['2', '2', '5', mondo + '0006872', mondo + '0024919']);
+
+          dictT.getEntries({ filter: filter, sort: 'firstUniqueID' },
+            (err, res) => {
+              expect(err).to.equal(null);
+              toPairs(res).should.deep.equal([
+                ['2', 'ncbi_taxon'],
+                ['5', 'test_hpo_ja'],
+                [mondo + '0006872', 'MONDO'],
+                [mondo + '0024919', 'MONDO'],
+                ['2', 'test_hpo_ja']
+              ]);
+              cb();
+            });
+        });
+      });
+    });
+
+    it('splits a long id list over several `find_terms` requests and ' +
+      'merges their results before sorting and trimming', cb => {
+      const urls = [];
+      const dictT = new PubDictionaries({
+        baseURL: testURLBase,
+        maxIDsPerRequest: 2,
+        transport: makeTransport(url => {
+          urls.push(url);
+          const ids = new URL(url).searchParams.get('ids').split('|');
+          return makeResponse(200, ids.reduce((res, id) => {
+            res[id] = [{ label: 'label' + id, dictionary: 'MONDO' }];
+            return res;
+          }, {}));
+        })
+      });
+      const filter = { id: ['x5', 'x3', 'x1', 'x3', 'x4'] };
+
+      dictT.getEntries({ filter: filter, sort: 'firstUniqueID', perPage: 3 },
+        (err, res) => {
+          expect(err).to.equal(null);
+          urls.should.deep.equal([
+            testURLBase + '/find_terms.json?dictionaries=&ids=x5%7Cx3',
+            testURLBase + '/find_terms.json?dictionaries=&ids=x1%7Cx4'
+          ]);
+          res.items.map(entry => entry.id)
+            .should.deep.equal(['x5', 'x3', 'x1']);
+
+          dictT.getEntries({ filter: filter, sort: 'id' }, (err, res) => {
+            expect(err).to.equal(null);
+            res.items.map(entry => entry.id)
+              .should.deep.equal(['x1', 'x3', 'x4', 'x5']);
+            cb();
+          });
+        });
+    });
+
+    it('merges the entries with the same id into one with `mergeDuplicates`, ' +
+      'keeping the one of the preferred dictionary', cb => {
+      const dictT = new PubDictionaries({
+        baseURL: testURLBase,
+        transport: makeTransport(() => makeResponse(200, {
+          X: [
+            { label: 'a', dictionary: 'A' }, { label: 'b', dictionary: 'A' },
+            { label: 'b', dictionary: 'B' }, { label: 'c', dictionary: 'B' },
+            { label: 'd', dictionary: 'C' }
+          ],
+          Y: [{ label: 'e', dictionary: 'B' }]
+        }))
+      });
+      const [dictA, dictB, dictC] = ['A', 'B', 'C'].map(name =>
+        pubDictTestURLBase + '/dictionaries/' + name);
+      const toTriples = res => res.items.map(entry => [entry.dictID,
+        entry.terms.map(term => term.str), entry.z.alsoIn]);
+
+      dictT.getEntries({ filter: { id: ['X', 'Y'] }, mergeDuplicates: true },
+        (err, res) => {
+          expect(err).to.equal(null);
+          toTriples(res).should.deep.equal([
+            [dictA, ['a', 'b', 'c', 'd'], [dictB, dictC]],
+            [dictB, ['e'], undefined]
+          ]);
+
+          dictT.getEntries({ filter: { id: ['X'] }, sort: 'str',
+            mergeDuplicates: { dictID: [dictC, dictB] } }, (err, res) => {
+            expect(err).to.equal(null);
+            toTriples(res).should.deep.equal([
+              [dictC, ['d', 'b', 'c', 'a'], [dictB, dictA]],
+              [dictB, ['e'], undefined]
+            ]);
+
+            dictT.getEntries({ filter: { id: ['X'] } }, (err, res) => {
+              expect(err).to.equal(null);
+              res.items.length.should.equal(4);
+              cb();
+            });
+          });
+        });
+    });
+
+    it('keeps the order of the server for the pages of `entries.json`, and ' +
+      'sorts only the returned page by `id` or `str`', cb => {
+      const urls = [];
+      const dictT = new PubDictionaries({
+        baseURL: testURLBase,
+        transport: makeTransport(url => {
+          urls.push(url);
+          return url.includes('/dictionaries/MONDO.json')
+            ? makeResponse(200, { name: 'MONDO', entries_num: 3 })
+            : url.includes('/dictionaries/PTO-all.json')
+              ? makeResponse(200, { name: 'PTO-all', entries_num: 3 })
+              : makeResponse(200, [
+                { id: 'B', label: 'b' }, { id: 'A', label: 'C' },
+                { id: 'C', label: 'a' }]);
+        })
+      });
+      const filter = { dictID: [pubDictTestURLBase + '/dictionaries/MONDO'] };
+      const ids = res => res.items.map(entry => entry.id);
+
+      dictT.getEntries({ filter: filter }, (err, res) => {
+        expect(err).to.equal(null);
+        ids(res).should.deep.equal(['B', 'A', 'C']);
+
+        dictT.getEntries({ filter: filter, sort: 'str' }, (err, res) => {
+          expect(err).to.equal(null);
+          ids(res).should.deep.equal(['C', 'B', 'A']);
+
+          // two dictionaries: MONDO's three entries, then one of PTO-all's
+          filter.dictID.push(pubDictTestURLBase + '/dictionaries/PTO-all');
+          dictT.getEntries({ filter: filter, sort: 'id', perPage: 4 },
+            (err, res) => {
+              expect(err).to.equal(null);
+              res.items.map(entry =>
+                entry.id + ' ' + entry.dictID.split('/').pop())
+                .should.deep.equal(
+                  ['A MONDO', 'B MONDO', 'B PTO-all', 'C MONDO']);
+              cb();
+            });
+        });
+      });
+    });
+
+    it('pages through the entries of several dictionaries as one list, ' +
+      'requesting only the overlapping pages', cb => {
+      const counts = { A: 3, B: 0, C: 4 };
+      const urls = [];
+      const dictT = new PubDictionaries({
+        baseURL: testURLBase,
+        transport: makeTransport(url => {
+          urls.push(url);
+          const dictName = /dictionaries\/([^/.]*)/.exec(url)[1];
+          let body = { name: dictName, entries_num: counts[dictName] };
+          if (!url.endsWith('.json')) {
+            const params = new URL(url).searchParams;
+            const page = Number(params.get('page'));
+            const pageSize = Number(params.get('per_page'));
+            body = [];
+            for (let i = (page - 1) * pageSize;
+              i < Math.min(page * pageSize, counts[dictName]); i++)
+              body.push({ id: dictName + i, label: dictName + i });
+          }
+          return makeResponse(200, body);
+        })
+      });
+      const filter = { dictID: ['C', 'B', 'A'].map(name =>
+        pubDictTestURLBase + '/dictionaries/' + name) };
+
+      dictT.getEntries({ filter: filter, page: 2, perPage: 2 }, (err, res) => {
+        expect(err).to.equal(null);
+        res.items.map(entry => entry.id).should.deep.equal(['A2', 'C0']);
+        urls.slice(3).should.deep.equal([
+          testURLBase + '/dictionaries/A/entries.json?page=2&per_page=2',
+          testURLBase + '/dictionaries/C/entries.json?page=1&per_page=2'
+        ]);
+
+        dictT.getEntries({ filter: filter, page: 3, perPage: 2 },
+          (err, res) => {
+            expect(err).to.equal(null);
+            res.items.map(entry => entry.id).should.deep.equal(['C1', 'C2']);
+            dictT.getEntries({ filter: filter, page: 5, perPage: 2 },
+              (err, res) => {
+                expect(err).to.equal(null);
+                res.should.deep.equal({ items: [] });
+                cb();
+              });
+          });
+      });
+    });
+
+    it('sends at most `maxConcurrentRequests` requests at the same time and ' +
+      'merges the results in the order of the URLs', cb => {
+      const dictNames = ['A', 'B', 'C', 'D', 'E'];
+      let active = 0;
+      let maxActive = 0;
+      const dictT = new PubDictionaries({
+        maxConcurrentRequests: 2,
+        transport: url => {
+          active++;
+          maxActive = Math.max(maxActive, active);
+          const dictName = /dictionaries\/([^/.]*)/.exec(url)[1];
+          // later dictionaries respond faster
+          const delay = 5 * (dictNames.length - dictNames.indexOf(dictName));
+          return new Promise(resolve => setTimeout(() => {
+            active--;
+            resolve(makeResponse(200, url.endsWith('.json')
+              ? { name: dictName, entries_num: 1 }
+              : [{ id: 'id' + dictName, label: 'label' + dictName }]));
+          }, delay));
+        }
+      });
+
+      dictT.getEntries({ filter: { dictID: dictNames.map(name =>
+        pubDictTestURLBase + '/dictionaries/' + name)
+      }}, (err, res) => {
+        expect(err).to.equal(null);
+        maxActive.should.equal(2);
+        res.items.map(entry => entry.id).should.deep.equal(
+          ['idA', 'idB', 'idC', 'idD', 'idE']);
+        dictT.activeRequests.should.equal(0);
+        dictT.requestQueue.should.deep.equal([]);
+        cb();
+      });
+    });
+  });
+
+  describe('streamEntries', () => {
+    const entries = ['1', '2', '3', '4', '5'].map(n =>
+      ({ id: 'http://purl.obolibrary.org/obo/MONDO_000000' + n, label: n }));
+    const makeStreamDict = (urls, failingPage, options) => new PubDictionaries(
+      Object.assign({
+        baseURL: testURLBase,
+        transport: makeTransport(url => {
+          urls.push(url);
+          const params = new URL(url).searchParams;
+          const page = Number(params.get('page'));
+          const pageSize = Number(params.get('per_page'));
+          return (page === failingPage)
+            ? makeResponse(502, 'Bad Gateway')
+            : makeResponse(200,
+              entries.slice((page - 1) * pageSize, page * pageSize));
+        })
+      }, options));
+
+    it('yields the entries of all pages, until an empty page', async () => {
+      const urls = [];
+      const dictS = makeStreamDict(urls);
+      const res = [];
+
+      for await (let entry of dictS.streamEntries(
+        pubDictTestURLBase + '/dictionaries/MONDO', { batchSize: 2, z: [] }))
+        res.push(entry);
+
+      res.map(entry => entry.terms[0].str)
+        .should.deep.equal(['1', '2', '3', '4', '5']);
+      res[0].should.deep.equal({
+        id: entries[0].id,
+        dictID: pubDictTestURLBase + '/dictionaries/MONDO',
+        descr: dictS.refineID(entries[0].id),
+        terms: [{ str: '1' }]
+      });
+      urls.should.deep.equal([1, 2, 3, 4].map(page => testURLBase +
+        '/dictionaries/MONDO/entries.json?page=' + page + '&per_page=2'));
+    });
+
+    it('stops at a page with the same entries as the previous one, or ' +
+      'after `maxStreamPages` pages', async () => {
+      const urls = [];
+      // a server that ignores `page`
+      const dictS = new PubDictionaries({
+        baseURL: testURLBase,
+        transport: makeTransport(url => {
+          urls.push(url);
+          return makeResponse(200, entries.slice(0, 2));
+        })
+      });
+      const res = [];
+
+      for await (let entry of dictS.streamEntries('MONDO', { batchSize: 2 }))
+        res.push(entry.terms[0].str);
+
+      res.should.deep.equal(['1', '2']);
+      urls.length.should.equal(2);
+
+      const logs = [];
+      const dictM = makeStreamDict(urls, 0,
+        { logger: { warn: msg => logs.push(msg) } });
+      dictM.maxStreamPages = 2;
+      res.length = 0;
+
+      for await (let entry of dictM.streamEntries('MONDO', { batchSize: 2 }))
+        res.push(entry.terms[0].str);
+
+      res.should.deep.equal(['1', '2', '3', '4']);
+      urls.length.should.equal(4);
+      logs.should.deep.equal(
+        ['Stopped streaming the entries of MONDO after 2 pages']);
+    });
+
+    it('stops requesting pages when the iteration is stopped', async () => {
+      const urls = [];
+      const dictS = makeStreamDict(urls);
+
+      for await (let entry of dictS.streamEntries('MONDO')) {
+        entry.terms[0].str.should.equal('1');
+        break;
+      }
+
+      urls.should.deep.equal([testURLBase +
+        '/dictionaries/MONDO/entries.json?page=1&per_page=100']);
+    });
+
+    it('rejects with the error object of a failing request and then ends',
+      () => {
+        const dictS = makeStreamDict([], 2);
+        const iterator = dictS.streamEntries('MONDO', { batchSize: 4 });
+        const results = [1, 2, 3, 4, 5, 6].map(() => iterator.next()
+          .then(res => res.done ? 'done' : res.value.terms[0].str,
+            err => err.code));
+
+        return Promise.all(results).then(res => {
+          res.should.deep.equal(['1', '2', '3', '4', 'HTTP', 'done']);
+        });
+      });
   });
 
   describe('getEntryMatchesForString', () => {
@@ -365,8 +953,12 @@ describe('PubDictionaries.js', () => {
         pubDictTestURLBase + errorNonValidDictionaryNameURL.replace('.json','')
       ]}},(err, res) => {
         err.should.deep.equal({
+          code: 'UNKNOWN_DICTIONARY',
+          status: 404,
           error: 'Unknown dictionary: nonValidDictionaryNameeeee.',
-          status: 404
+          url: pubDictTestURLBase + queryStr,
+          dictID: pubDictTestURLBase + '/dictionaries/nonValidDictionaryNameeeee',
+          cause: JSON.parse(errorNonValidDictionaryNameURLJSONString)
         });
         assert.typeOf(res, 'undefined');
         cb();
@@ -426,6 +1018,154 @@ describe('PubDictionaries.js', () => {
         cb();
       });
     });
+
+    it('returns a Promise when no callback is given', async () => {
+      nock(testURLBase).get(tp53URL)
+        .reply(200, pubDictUniprot3ResultsJSONString);
+
+      const res = await dict.getEntryMatchesForString('tp53', { filter:
+          { dictID: [pubDictTestURLBase + '/dictionaries/human-UniProt'] }
+      });
+      res.should.deep.equal({ items: expectedTP53MatchObjArray });
+    });
+
+    it('cancels all requests and returns an error object when the ' +
+      '`options.signal` is aborted', cb => {
+      const signals = [];
+      const dictT = new PubDictionaries({
+        transport: (url, init) => {
+          signals.push(init.signal);
+          return new Promise(() => {}); // never responds
+        }
+      });
+      const controller = new AbortController();
+      let calls = 0;
+
+      dictT.getEntryMatchesForString('tp53', { filter: { dictID: [
+        pubDictTestURLBase + '/dictionaries/human-UniProt',
+        pubDictTestURLBase + '/dictionaries/MONDO'
+      ]}, signal: controller.signal }, (err, res) => {
+        calls++;
+        err.should.include({ code: 'ABORTED', status: 499, error: 'Aborted' });
+        assert.typeOf(res, 'undefined');
+        signals.length.should.equal(2);
+        signals.every(signal => signal.aborted).should.equal(true);
+        setTimeout(() => {
+          calls.should.equal(1); // called back only once
+          cb();
+        }, 10);
+      });
+      controller.abort();
+    });
+
+    it('returns an error object without sending requests when the ' +
+      '`options.signal` is already aborted', cb => {
+      const controller = new AbortController();
+      controller.abort();
+      const dictT = new PubDictionaries({
+        transport: () => { throw new Error('should not be called') }
+      });
+
+      dictT.getEntryMatchesForString('tp53', { filter: { dictID: [
+        pubDictTestURLBase + '/dictionaries/human-UniProt'
+      ]}, signal: controller.signal }, err => {
+        err.should.include({ code: 'ABORTED', status: 499, error: 'Aborted' });
+        cb();
+      });
+    });
+  });
+
+  describe('query normalization', () => {
+    const makeNormalizingDict = urls => new PubDictionaries({
+      baseURL: testURLBase,
+      normalizeQuery: true,
+      transport: makeTransport(url => {
+        urls.push(url);
+        const body = url.endsWith('MONDO.json')
+          ? { name: 'MONDO', no_term_words: ['the', 'of'],
+            no_begin_words: ['the'], no_end_words: ['of'] }
+          : url.endsWith('.json')
+            ? JSON.parse(errorNonValidDictionaryNameURLJSONString)
+            : [{ id: 'http://purl.obolibrary.org/obo/MONDO_0005105',
+              label: 'melanoma' }];
+        return makeResponse(
+          url.endsWith('.json') && !url.endsWith('MONDO.json') ? 400 : 200,
+          body);
+      })
+    });
+    const options = { filter: { dictID: [
+      pubDictTestURLBase + '/dictionaries/MONDO'
+    ]}};
+
+    it('strips leading and trailing stop words from the query, with the ' +
+      'stop-word lists fetched once per dictionary', cb => {
+      const urls = [];
+      const dictN = makeNormalizingDict(urls);
+
+      dictN.getEntryMatchesForString('The melanoma OF', options,
+        (err, res) => {
+          expect(err).to.equal(null);
+          res.items[0].should.include({ str: 'melanoma', type: 'S' });
+          dictN.getEntryMatchesForString('the Melanoma', options, err => {
+            expect(err).to.equal(null);
+            urls.should.deep.equal([
+              testURLBase + '/dictionaries/MONDO.json',
+              testURLBase + '/dictionaries/MONDO/mixed_completion' +
+                '?term=melanoma&page=1&per_page=15',
+              testURLBase + '/dictionaries/MONDO/mixed_completion' +
+                '?term=Melanoma&page=1&per_page=15'
+            ]);
+            cb();
+          });
+        });
+    });
+
+    it('skips the dictionaries for which the query has only stop words',
+      cb => {
+        const urls = [];
+        const dictN = makeNormalizingDict(urls);
+        const options2 = { filter: { dictID: options.filter.dictID.concat(
+          pubDictTestURLBase + '/dictionaries/other') } };
+
+        dictN.getEntryMatchesForString('the', options, (err, res) => {
+          expect(err).to.equal(null);
+          res.should.deep.equal({ items: [] });
+          urls.should.deep.equal([testURLBase + '/dictionaries/MONDO.json']);
+
+          // `other` does not exist, so it has no stop words
+          dictN.getEntryMatchesForString('of', options2, err => {
+            expect(err).to.equal(null);
+            urls.slice(1).should.deep.equal([
+              testURLBase + '/dictionaries/other.json',
+              testURLBase + '/dictionaries/other/mixed_completion' +
+                '?term=of&page=1&per_page=15'
+            ]);
+            cb();
+          });
+        });
+      });
+  });
+
+  describe('normalizeQueryString', () => {
+    it('returns the query without stop words, or as is when the query ' +
+      'normalization is off or there are no stop-word lists', cb => {
+      const dictN = new PubDictionaries({ normalizeQuery: true });
+      dictN.stopWords.set('A', {
+        noTermWords: new Set(['the', 'of', 'in']),
+        noBeginWords: new Set(['the', 'in']),
+        noEndWords: new Set(['of', 'in'])
+      });
+
+      dictN.normalizeQueryString(' The  cancer of ', 'A')
+        .should.equal('cancer');
+      dictN.normalizeQueryString('the of', 'A').should.equal('');
+      dictN.normalizeQueryString('in in', 'A').should.equal('');
+      dictN.normalizeQueryString('the cancer of the', 'A')
+        .should.equal('cancer of the');
+      dictN.normalizeQueryString('the', 'B').should.equal('the');
+      dict.normalizeQueryString('the', 'A').should.equal('the');
+      cb();
+    });
   });
 
   describe('getMatchesForString', () => {
@@ -468,6 +1208,285 @@ describe('PubDictionaries.js', () => {
         cb();
       });
     });
+
+    it('returns a Promise when no callback is given', async () => {
+      nock(testURLBase).get(searchNumber5URL)
+        .reply(200, '[]');
+
+      const res = await dict.getMatchesForString('5', {
+        filter: {
+          dictID: [
+            pubDictTestURLBase + '/dictionaries/human-UniProt'
+          ]
+        }
+      });
+      res.should.deep.equal(
+        {
+          items: [{ id:'00:5e+0', dictID:'00', str:'5', descr:'number', type:'N' }]
+        });
+    });
+  });
+
+  describe('lenient error mode', () => {
+    // the `MONDO` dictionary fails, the others return some results
+    const makeFailingDict = options => new PubDictionaries(Object.assign({
+      baseURL: testURLBase,
+      transport: makeTransport(url => url.includes('MONDO')
+        ? makeResponse(502, 'Bad Gateway')
+        : makeResponse(200, url.endsWith('PTO-all.json')
+          ? { name: 'PTO-all', entries_num: 1 }
+          : [{ id: '1', label: 'a1' }]))
+    }, options));
+    const dictIDs = [
+      pubDictTestURLBase + '/dictionaries/MONDO',
+      pubDictTestURLBase + '/dictionaries/PTO-all'
+    ];
+
+    it('returns the results of the successful requests and the errors of ' +
+      'the failed ones for getEntryMatchesForString', cb => {
+      makeFailingDict().getEntryMatchesForString('a', {
+        filter: { dictID: dictIDs }, errorMode: 'lenient'
+      }, (err, res) => {
+        expect(err).to.equal(null);
+        res.items.map(match => match.dictID).should.deep.equal(
+          [pubDictTestURLBase + '/dictionaries/PTO-all']);
+        res.errors.length.should.equal(1);
+        res.errors[0].should.include({
+          code: 'HTTP',
+          status: 502,
+          url: testURLBase + '/dictionaries/MONDO/mixed_completion?term=a' +
+            pubDictPagingOpt,
+          dictID: pubDictTestURLBase + '/dictionaries/MONDO'
+        });
+        cb();
+      });
+    });
+
+    it('uses the constructor\'s `errorMode` for getEntries and getDictInfos, ' +
+      'unless overridden by the call\'s options', cb => {
+      const dictL = makeFailingDict({ errorMode: 'lenient' });
+
+      dictL.getEntries({ filter: { dictID: dictIDs }}, (err, res) => {
+        expect(err).to.equal(null);
+        res.items.map(entry => entry.id).should.deep.equal(['1']);
+        res.errors.map(e => e.dictID).should.deep.equal([dictIDs[0]]);
+
+        dictL.getDictInfos({ filter: { id: dictIDs }}, (err, res) => {
+          expect(err).to.equal(null);
+          res.items.map(dictInfo => dictInfo.name)
+            .should.deep.equal(['PTO-all']);
+          res.errors.map(e => e.url).should.deep.equal(
+            [testURLBase + '/dictionaries/MONDO.json']);
+
+          dictL.getDictInfos({ filter: { id: dictIDs }, errorMode: 'strict' },
+            (err, res) => {
+              err.should.include({ code: 'HTTP', status: 502 });
+              assert.typeOf(res, 'undefined');
+              cb();
+            });
+        });
+      });
+    });
+
+    it('returns an empty `errors` array when all requests succeed', cb => {
+      makeFailingDict().getEntryMatchesForString('a', {
+        filter: { dictID: [dictIDs[1]] }, errorMode: 'lenient'
+      }, (err, res) => {
+        expect(err).to.equal(null);
+        res.items.length.should.equal(1);
+        res.errors.should.deep.equal([]);
+        cb();
+      });
+    });
+
+    it('returns an empty `errors` array also when no request is needed',
+      async () => {
+        const dictL = makeFailingDict({ errorMode: 'lenient' });
+        const otherFilter = { dictID: ['http://x.org/dict'] };
+        const results = [
+          await dictL.getDictInfos({ filter: { id: ['http://x.org/dict'] } }),
+          await dictL.getDictInfos({ filter: { id: dictIDs }, page: 3,
+            perPage: 1 }),
+          await dictL.findDictInfos('', {}),
+          await dictL.getEntries({ filter: otherFilter }),
+          await dictL.getEntryMatchesForString('', {}),
+          await dictL.getEntryMatchesForString('a', { filter: otherFilter })
+        ];
+
+        results.forEach(res =>
+          res.should.deep.equal({ items: [], errors: [] }));
+      });
+  });
+
+  describe('pagination metadata', () => {
+    // dictionaries `A` and `C` have 3 and 4 entries, `A0`...`C3`, and `B`
+    // does not exist
+    const counts = { A: 3, C: 4 };
+    const makePagedDict = options => new PubDictionaries(Object.assign({
+      baseURL: testURLBase,
+      transport: makeTransport(url => {
+        const params = new URL(url).searchParams;
+        let status = 200;
+        let body;
+        if (url.includes('/find_terms.json')) {
+          body = params.get('ids').split('|').reduce((res, id) => {
+            res[id] = [{ label: id, dictionary: 'A' }];
+            return res;
+          }, {});
+        } else {
+          const dictName = /dictionaries\/([^/.]*)/.exec(url)[1];
+          const page = Number(params.get('page'));
+          const pageSize = Number(params.get('per_page'));
+          body = { name: dictName, entries_num: counts[dictName] };
+          if (!counts[dictName]) {
+            status = 400;
+            body = { message: 'Unknown dictionary: ' + dictName + '.' };
+          } else if (!url.endsWith('.json')) {
+            body = [];
+            for (let i = (page - 1) * pageSize;
+              i < Math.min(page * pageSize, counts[dictName]); i++)
+              body.push({ id: dictName + i, label: dictName + i });
+          }
+        }
+        return makeResponse(status, body);
+      })
+    }, options));
+    const dictIDs = ['A', 'B', 'C'].map(name =>
+      pubDictTestURLBase + '/dictionaries/' + name);
+    const pageInfoOf = res => ({
+      hasMore: res.hasMore,
+      page: res.page,
+      perPage: res.perPage,
+      totalCount: res.totalCount
+    });
+
+    it('is not added to the results by default', cb => {
+      makePagedDict().getDictInfos({ filter: { id: dictIDs }, perPage: 1 },
+        (err, res) => {
+          expect(err).to.equal(null);
+          res.should.have.all.keys('items');
+          res.items.length.should.equal(1);
+          cb();
+        });
+    });
+
+    it('is added for getDictInfos and findDictInfos, with the count of all ' +
+      'the dictionaries found', cb => {
+      const dictP = makePagedDict({ pageInfo: true });
+      dictP.getDictInfos({ filter: { id: dictIDs }, perPage: 1 },
+        (err, res) => {
+          expect(err).to.equal(null);
+          pageInfoOf(res).should.deep.equal(
+            { hasMore: true, page: 1, perPage: 1, totalCount: 2 });
+
+          dictP.getDictInfos({ filter: { id: dictIDs }, page: 2, perPage: 1 },
+            (err, res) => {
+              expect(err).to.equal(null);
+              res.items.map(dictInfo => dictInfo.name)
+                .should.deep.equal(['C']);
+              pageInfoOf(res).should.deep.equal(
+                { hasMore: false, page: 2, perPage: 1, totalCount: 2 });
+
+              dictP.findDictInfos('', {}, (err, res) => {
+                expect(err).to.equal(null);
+                res.should.deep.equal({ items: [], hasMore: false, page: 1,
+                  perPage: 15, totalCount: 0 });
+                cb();
+              });
+            });
+        });
+    });
+
+    it('is added for getEntries, with the total count only when it is ' +
+      'known', cb => {
+      const dictP = makePagedDict({ pageInfo: true });
+      dictP.getEntries({ filter: { dictID: [dictIDs[2]] }, perPage: 4 },
+        (err, res) => {
+          expect(err).to.equal(null);
+          res.items.length.should.equal(4);
+          // a full page of `entries.json` may be followed by more entries
+          pageInfoOf(res).should.deep.equal({ hasMore: true, page: 1,
+            perPage: 4, totalCount: undefined });
+
+          dictP.getEntries({ filter: { dictID: [dictIDs[0], dictIDs[2]] },
+            page: 2, perPage: 5 }, (err, res) => {
+            expect(err).to.equal(null);
+            res.items.map(entry => entry.id).should.deep.equal(['C2', 'C3']);
+            pageInfoOf(res).should.deep.equal(
+              { hasMore: false, page: 2, perPage: 5, totalCount: 7 });
+
+            dictP.getEntries({ filter: { id: ['x', 'y', 'z'] }, perPage: 2 },
+              (err, res) => {
+                expect(err).to.equal(null);
+                res.items.map(entry => entry.id)
+                  .should.deep.equal(['x', 'y']);
+                pageInfoOf(res).should.deep.equal(
+                  { hasMore: true, page: 1, perPage: 2, totalCount: 3 });
+                cb();
+              });
+          });
+        });
+    });
+
+    it('reports a dictionary that does not exist when paging through ' +
+      'several dictionaries', cb => {
+      const dictP = makePagedDict({ pageInfo: true });
+      const unknownErr = {
+        code: 'UNKNOWN_DICTIONARY',
+        status: 404,
+        error: 'Unknown dictionary: B.',
+        url: testURLBase + '/dictionaries/B.json',
+        dictID: dictIDs[1],
+        cause: null
+      };
+
+      dictP.getEntries({ filter: { dictID: dictIDs }, page: 2, perPage: 5 },
+        (err, res) => {
+          err.should.deep.equal(unknownErr);
+          assert.typeOf(res, 'undefined');
+
+          dictP.getEntries({ filter: { dictID: dictIDs }, page: 2,
+            perPage: 5, errorMode: 'lenient' }, (err, res) => {
+            expect(err).to.equal(null);
+            res.items.map(entry => entry.id).should.deep.equal(['C2', 'C3']);
+            res.errors.should.deep.equal([unknownErr]);
+            pageInfoOf(res).should.deep.equal(
+              { hasMore: false, page: 2, perPage: 5, totalCount: 7 });
+            cb();
+          });
+        });
+    });
+
+    it('is added for getEntryMatchesForString, when asked for with the ' +
+      'call\'s `pageInfo` option', cb => {
+      const dictP = makePagedDict();
+      dictP.getEntryMatchesForString('a',
+        { filter: { dictID: [dictIDs[0]] }, perPage: 4, pageInfo: true },
+        (err, res) => {
+          expect(err).to.equal(null);
+          res.items.length.should.equal(3);
+          pageInfoOf(res).should.deep.equal({ hasMore: false, page: 1,
+            perPage: 4, totalCount: undefined });
+
+          // the matches of both dictionaries do not fit in one page
+          dictP.getEntryMatchesForString('a',
+            { filter: { dictID: [dictIDs[0], dictIDs[2]] }, perPage: 4,
+              pageInfo: true },
+            (err, res) => {
+              expect(err).to.equal(null);
+              res.items.length.should.equal(4);
+              res.hasMore.should.equal(true);
+
+              makePagedDict({ pageInfo: true }).getEntryMatchesForString('a',
+                { filter: { dictID: [dictIDs[0]] }, pageInfo: false },
+                (err, res) => {
+                  expect(err).to.equal(null);
+                  res.should.not.have.property('hasMore');
+                  cb();
+                });
+            });
+        });
+    });
   });
 
   describe('buildDictInfoURLs', () => {
@@ -1140,15 +2159,22 @@ describe('PubDictionaries.js', () => {
       );
 
       const expectedResult = [
-        {
-          id: pubDictTestURLBase + '/dictionaries/MONDO',
-          name: 'MONDO'
-        }
+        getMONDODictInfoObj(pubDictTestURLBase + '/dictionaries/MONDO')
       ];
 
       res.should.deep.equal(expectedResult);
       cb();
     });
+
+    it('leaves out the `descr` and `z` properties when there is no such ' +
+      'information', cb => {
+      dictPub.mapPubDictResToDictInfoObj({ name: 'A', description: ' ' })
+        .should.deep.equal([{
+          id: pubDictTestURLBase + '/dictionaries/A',
+          name: 'A'
+        }]);
+      cb();
+    });
   });
 
   describe('mapPubDictEntriesResToEntryObj', () => {
@@ -1314,6 +2340,26 @@ describe('PubDictionaries.js', () => {
 
       cb();
     });
+    it('splits the ids over several `find_terms` URLs under the id-count ' +
+      'and URL-length limits, keeping their order and skipping duplicates',
+    cb => {
+      const base = pubDictTestURLBase + '/find_terms.json?dictionaries=A&ids=';
+      const dictL = new PubDictionaries({ baseURL: pubDictTestURLBase,
+        maxIDsPerRequest: 3, maxURLLength: base.length + 20 });
+      const longID = 'an_id_longer_than_the_limit';
+
+      dictL.prepareEntrySearchURLs({},
+        ['1', '2', '3', '4', '2', '5', '6', '7'], ['A'])
+        .should.deep.equal([base + '1%7C2%7C3', base + '4%7C5%7C6', base + '7']);
+      dictL.prepareEntrySearchURLs({}, ['a/b', 'c', longID, 'd'], ['A'])
+        .should.deep.equal([base + 'a%2Fb%7Cc', base + longID, base + 'd']);
+
+      const dictN = new PubDictionaries({ baseURL: pubDictTestURLBase,
+        maxIDsPerRequest: 2 });
+      dictN.prepareEntrySearchURLs({}, ['1', '2', '3'], ['A'])
+        .should.deep.equal([base + '1%7C2', base + '3']);
+      cb();
+    });
   });
 
   describe('prepareMatchStringSearchURLs', () => {
@@ -1400,6 +2446,878 @@ describe('PubDictionaries.js', () => {
     });
   });
 
+  describe('request', () => {
+    it('sends the request through a custom transport and returns the ' +
+      'parsed JSON response', cb => {
+      const urls = [];
+      const dictT = new PubDictionaries({
+        transport: (url, init) => {
+          urls.push(url);
+          init.method.should.equal('GET');
+          return Promise.resolve(makeResponse(200, mondoDictInfoJSONString));
+        }
+      });
+
+      dictT.request('http://test/dictionaries/MONDO.json', (err, res) => {
+        expect(err).to.equal(null);
+        res.should.deep.equal(JSON.parse(mondoDictInfoJSONString));
+        urls.should.deep.equal(['http://test/dictionaries/MONDO.json']);
+        cb();
+      });
+    });
+
+    it('returns proper error objects for non-200 responses and for ' +
+      'failing transports', cb => {
+      const dictT = new PubDictionaries({
+        transport: url => url.endsWith('fail')
+          ? Promise.reject(new Error('connection refused'))
+          : url.endsWith('text')
+            ? Promise.resolve(makeResponse(502, 'Bad Gateway'))
+            : Promise.resolve(
+              makeResponse(400, errorNonValidDictionaryNameURLJSONString))
+      });
+
+      dictT.request('http://test/text', err => {
+        err.should.deep.equal({ code: 'HTTP', status: 502,
+          error: 'Bad Gateway', url: 'http://test/text', dictID: null,
+          cause: null });
+        dictT.request('http://test/dictionaries/A.json', err => {
+          err.should.deep.equal({ code: 'UNKNOWN_DICTIONARY', status: 404,
+            error: 'Unknown dictionary: nonValidDictionaryNameeeee.',
+            url: 'http://test/dictionaries/A.json',
+            dictID: pubDictTestURLBase + '/dictionaries/A',
+            cause: JSON.parse(errorNonValidDictionaryNameURLJSONString) });
+          dictT.request('http://test/fail', err => {
+            err.should.include({ code: 'NETWORK', status: 0,
+              error: 'connection refused' });
+            err.cause.should.be.an('error');
+            cb();
+          });
+        });
+      });
+    });
+
+    it('returns a network error object for a transport that throws, and ' +
+      'still answers later requests', cb => {
+      let calls = 0;
+      const dictT = new PubDictionaries({
+        maxConcurrentRequests: 1,
+        transport: () => {
+          if (++calls === 1) throw new Error('bad transport');
+          return Promise.resolve(makeResponse(200, '[]'));
+        }
+      });
+
+      dictT.enqueueRequest('http://test/x', {}, err => {
+        err.should.include({ code: 'NETWORK', status: 0,
+          error: 'bad transport' });
+        dictT.enqueueRequest('http://test/x', {}, (err, res) => {
+          expect(err).to.equal(null);
+          res.should.deep.equal([]);
+          calls.should.equal(2);
+          dictT.activeRequests.should.equal(0);
+          dictT.inFlightRequests.size.should.equal(0);
+          cb();
+        });
+      });
+    });
+
+    it('returns a parse error object for a response that is not JSON', cb => {
+      const dictT = new PubDictionaries({
+        transport: () => Promise.resolve(makeResponse(200, '<h1>TP53</h1>'))
+      });
+
+      dictT.request('http://test/dictionaries/A/mixed_completion?term=a',
+        err => {
+          err.should.include({ code: 'PARSE', status: 200,
+            dictID: pubDictTestURLBase + '/dictionaries/A' });
+          err.cause.should.be.an.instanceof(SyntaxError);
+          cb();
+        });
+    });
+
+    it('returns a timeout error object when the transport does not respond ' +
+      'in time', cb => {
+      const never = () => new Promise(() => {});
+      const dictT = new PubDictionaries({ transport: never, timeout: 10 });
+
+      dictT.request('http://test/x', err => {
+        err.should.include({ code: 'TIMEOUT', status: 408, error: 'Timeout' });
+        // the per-request `timeout` overrides the default one
+        const start = Date.now();
+        dictT.request('http://test/x', { timeout: 30 }, err => {
+          err.should.include({ code: 'TIMEOUT', status: 408, error: 'Timeout' });
+          (Date.now() - start).should.be.at.least(25);
+          cb();
+        });
+      });
+    });
+
+    it('answers a queued request at once when it is aborted or times out, ' +
+      'without waiting for a free slot', cb => {
+      const urls = [];
+      const dictT = new PubDictionaries({
+        baseURL: testURLBase,
+        maxConcurrentRequests: 1,
+        transport: url => {
+          urls.push(url);
+          return new Promise(resolve =>
+            setTimeout(() => resolve(makeResponse(200, '[]')), 200));
+        }
+      });
+      const controller = new AbortController();
+      const start = Date.now();
+      let calls = 0;
+      const done = () => {
+        if (++calls < 3) return;
+        urls.should.deep.equal([testURLBase + '/a']);
+        cb();
+      };
+
+      dictT.enqueueRequest(testURLBase + '/a', {}, err => {
+        expect(err).to.equal(null);
+        done();
+      });
+      dictT.enqueueRequest(testURLBase + '/b',
+        { signal: controller.signal }, err => {
+          err.should.include({ code: 'ABORTED', status: 499 });
+          (Date.now() - start).should.be.below(150);
+          dictT.requestQueue.length.should.equal(1);
+          done();
+        });
+      // the time in the queue counts toward the timeout
+      dictT.enqueueRequest(testURLBase + '/c', { timeout: 50 }, err => {
+        err.should.include({ code: 'TIMEOUT', status: 408 });
+        (Date.now() - start).should.be.below(150);
+        dictT.requestQueue.length.should.equal(0);
+        done();
+      });
+      setTimeout(() => controller.abort(), 20);
+    });
+
+    it('returns a network error object when the legacy XHR transport gets ' +
+      'no response', cb => {
+      nock(testURLBase).get('/x')
+        .replyWithError('connect ECONNREFUSED 127.0.0.1:80');
+
+      dict.request(testURLBase + '/x', err => {
+        err.should.include({ code: 'NETWORK', status: 0,
+          error: 'Network request failed' });
+        cb();
+      });
+    });
+
+    it('retries requests that fail with a 5xx status or a network error', cb => {
+      const statuses = [502, 0, 200];
+      let calls = 0;
+      const dictT = new PubDictionaries({
+        retry: { maxAttempts: 3, baseDelay: 1 },
+        transport: () => {
+          const status = statuses[calls++];
+          return status === 0
+            ? Promise.reject(new Error('connection reset'))
+            : Promise.resolve(makeResponse(status, status === 200
+              ? mondoDictInfoJSONString
+              : 'Bad Gateway'));
+        }
+      });
+
+      dictT.request('http://test/dictionaries/MONDO.json', (err, res) => {
+        expect(err).to.equal(null);
+        res.name.should.equal('MONDO');
+        calls.should.equal(3);
+        cb();
+      });
+    });
+
+    it('returns the last error when all attempts fail and never retries ' +
+      'other 4xx errors', cb => {
+      let calls = 0;
+      const dictT = new PubDictionaries({
+        retry: { maxAttempts: 2, baseDelay: 1 },
+        transport: url => {
+          calls++;
+          return Promise.resolve(url.endsWith('unknown')
+            ? makeResponse(400, errorNonValidDictionaryNameURLJSONString)
+            : makeResponse(503, 'Service Unavailable'));
+        }
+      });
+
+      dictT.request('http://test/unavailable', err => {
+        err.should.include(
+          { code: 'HTTP', status: 503, error: 'Service Unavailable' });
+        calls.should.equal(2);
+        calls = 0;
+        dictT.request('http://test/unknown', err => {
+          err.should.include({ code: 'UNKNOWN_DICTIONARY', status: 404 });
+          calls.should.equal(1);
+          cb();
+        });
+      });
+    });
+
+    it('respects the `Retry-After` header of a 429 response', cb => {
+      let calls = 0;
+      const dictT = new PubDictionaries({
+        // a backoff this long would make the test time out
+        retry: { maxAttempts: 2, baseDelay: 60000 },
+        transport: () => Promise.resolve(calls++ === 0
+          ? makeResponse(429, 'Too Many Requests', { 'Retry-After': '0' })
+          : makeResponse(200, '[]'))
+      });
+
+      dictT.request('http://test/x', (err, res) => {
+        expect(err).to.equal(null);
+        res.should.deep.equal([]);
+        calls.should.equal(2);
+        cb();
+      });
+    });
+
+    it('does not retry when the `Retry-After` time is longer than ' +
+      '`maxDelay`', cb => {
+      let calls = 0;
+      const dictT = new PubDictionaries({
+        retry: { maxAttempts: 2, maxDelay: 1000 },
+        transport: () => Promise.resolve(calls++ === 0
+          ? makeResponse(429, 'Too Many Requests', { 'Retry-After': '3600' })
+          : makeResponse(200, '[]'))
+      });
+
+      dictT.request('http://test/x', (err, res) => {
+        err.should.include({ code: 'HTTP', status: 429 });
+        assert.typeOf(res, 'undefined');
+        calls.should.equal(1);
+        cb();
+      });
+    });
+  });
+
+  describe('logging and hooks', () => {
+    const mondoURL = 'http://test/dictionaries/MONDO.json';
+
+    it('logs through a given logger object', cb => {
+      const logs = [];
+      const dictL = new PubDictionaries({
+        baseURL: testURLBase,
+        logger: { debug: msg => logs.push(msg) }, // `warn` etc. are no-ops
+        transport: () => Promise.resolve(
+          makeResponse(200, mondoDictInfoJSONString))
+      });
+
+      dictL.getDictInfos({ filter: { id: [pubDictTestURLBase +
+        '/dictionaries/MONDO'] } }, err => {
+        expect(err).to.equal(null);
+        logs.should.deep.equal(['URL: ' + testURLBase + searchMONDOdict]);
+        cb();
+      });
+    });
+
+    it('calls the hooks with information about every attempt and about ' +
+      'the result', cb => {
+      const events = [];
+      let calls = 0;
+      const dictH = new PubDictionaries({
+        retry: { maxAttempts: 2, baseDelay: 1 },
+        cache: true,
+        hooks: {
+          onRequest: info => events.push(['request', info]),
+          onResponse: info => events.push(['response', info]),
+          onResult: info => events.push(['result', info])
+        },
+        transport: () => Promise.resolve(calls++ === 0
+          ? makeResponse(503, 'Service Unavailable')
+          : makeResponse(200, mondoDictInfoJSONString))
+      });
+
+      dictH.request(mondoURL, err => {
+        expect(err).to.equal(null);
+        dictH.request(mondoURL, err => {
+          expect(err).to.equal(null);
+          events.map(e => e[0]).should.deep.equal(
+            ['request', 'response', 'request', 'response', 'result',
+              'result']);
+          events.map(e => e[1].attempt).should.deep.equal(
+            [1, 1, 2, 2, undefined, undefined]);
+          events.map(e => e[1].status).should.deep.equal(
+            [undefined, 503, undefined, 200, 200, 200]);
+          events.forEach(([, info]) => {
+            info.should.include({ url: mondoURL, dictName: 'MONDO',
+              endpoint: 'dictinfo' });
+            info.duration.should.be.a('number');
+          });
+          events[4][1].source.should.equal('network');
+          events[5][1].source.should.equal('cache');
+          cb();
+        });
+      });
+    });
+
+    it('calls the `onError` hook for failed requests and logs errors that ' +
+      'hooks throw', cb => {
+      const errors = [];
+      const logs = [];
+      const dictH = new PubDictionaries({
+        logger: { error: msg => logs.push(msg) },
+        hooks: {
+          onRequest: () => { throw new Error('oops') },
+          onError: info => errors.push(info)
+        },
+        transport: () => Promise.resolve(makeResponse(502, 'Bad Gateway'))
+      });
+
+      dictH.request(mondoURL, err => {
+        err.should.include({ code: 'HTTP', status: 502 });
+        errors.length.should.equal(1);
+        errors[0].should.include({ url: mondoURL, dictName: 'MONDO',
+          endpoint: 'dictinfo', code: 'HTTP', status: 502, error: err });
+        logs.should.deep.equal(['Error in the `onRequest` hook: oops']);
+        cb();
+      });
+    });
+  });
+
+  describe('getStats/resetStats', () => {
+    it('reports the usage statistics of the requests, including cache ' +
+      'hits and errors', cb => {
+      const dictS = new PubDictionaries({
+        baseURL: testURLBase,
+        cache: true,
+        transport: makeTransport(url => url.includes('MONDO')
+          ? makeResponse(200, mondoDictInfoJSONString)
+          : makeResponse(400, errorNonValidDictionaryNameURLJSONString))
+      });
+      const options = { filter: { id: [
+        pubDictTestURLBase + '/dictionaries/MONDO',
+        pubDictTestURLBase + '/dictionaries/A'
+      ] } };
+
+      dictS.getDictInfos(options, err => {
+        expect(err).to.equal(null); // unknown dictionaries are skipped
+        dictS.getDictInfos(options, () => {
+          const stats = dictS.getStats();
+          stats.byEndpoint.dictinfo.should.include(
+            { requests: 4, cacheHits: 1 });
+          // errors are not cached
+          stats.byEndpoint.dictinfo.errors.should.deep.equal({ 404: 2 });
+          stats.byDictionary.MONDO.should.include(
+            { requests: 2, cacheHits: 1 });
+          stats.byDictionary.MONDO.latency.p50.should.be.a('number');
+          stats.byDictionary.A.errors.should.deep.equal({ 404: 2 });
+
+          dictS.resetStats();
+          dictS.getStats().should.deep.equal(
+            { byEndpoint: {}, byDictionary: {} });
+          cb();
+        });
+      });
+    });
+  });
+
+  describe('authentication', () => {
+    // records the requests and responds with the given status and body
+    const makeAuthDict = (requests, options, status = 200, text = '[]') =>
+      new PubDictionaries(Object.assign({
+        baseURL: testURLBase,
+        transport: makeTransport((url, init) => {
+          requests.push({ url: url, headers: init.headers });
+          return makeResponse(status, text);
+        })
+      }, options));
+
+    it('sends a bearer token to every endpoint', cb => {
+      const requests = [];
+      const dictA = makeAuthDict(requests, { auth: { token: 'secret' } });
+      const dictIDs = [pubDictTestURLBase + '/dictionaries/private'];
+
+      dictA.getEntryMatchesForString('a', { filter: { dictID: dictIDs }}, () => {
+        dictA.getEntries({ filter: { dictID: dictIDs }}, () => {
+          dictA.getEntries({ filter: { id: ['1'], dictID: dictIDs }}, () => {
+            requests.map(req => req.url).should.deep.equal([
+              testURLBase + '/dictionaries/private/mixed_completion?term=a' +
+                pubDictPagingOpt,
+              testURLBase + '/dictionaries/private/entries.json?page=1&per_page=15',
+              testURLBase + '/find_terms.json?dictionaries=private&ids=1'
+            ]);
+            requests.forEach(req => req.headers.should.deep.equal(
+              { Authorization: 'Bearer secret' }));
+            cb();
+          });
+        });
+      });
+    });
+
+    it('sends an API key as a header or a query parameter, using the ' +
+      'credentials of the URL\'s host', cb => {
+      const requests = [];
+      const dictA = makeAuthDict(requests, {
+        auth: { apiKey: 'key1' },
+        authByHost: { 'OTHER:3000': { apiKey: 'k&2', apiKeyParam: 'api_key' } }
+      });
+
+      dictA.request(testURLBase + '/dictionaries/A.json', () => {
+        dictA.request('http://other:3000/dictionaries/A/mixed_completion?term=a',
+          () => {
+            requests.should.deep.equal([
+              { url: testURLBase + '/dictionaries/A.json',
+                headers: { 'X-API-Key': 'key1' }},
+              {
+                url: 'http://other:3000/dictionaries/A/mixed_completion' +
+                  '?term=a&api_key=k%262',
+                headers: {}
+              }
+            ]);
+            cb();
+          });
+      });
+    });
+
+    it('returns an authorization error object for 401 and 403 responses', cb => {
+      const dictA = makeAuthDict([], {}, 401, '{"message":"Login required"}');
+      const dictB = makeAuthDict([], {}, 403, 'Forbidden');
+
+      dictA.getDictInfos({ filter: { id: [
+        pubDictTestURLBase + '/dictionaries/private'
+      ]}}, (err, res) => {
+        err.should.deep.equal({ code: 'UNAUTHORIZED', status: 401,
+          error: 'Not authorized',
+          url: testURLBase + '/dictionaries/private.json',
+          dictID: pubDictTestURLBase + '/dictionaries/private',
+          cause: { message: 'Login required' } });
+        assert.typeOf(res, 'undefined');
+        dictB.getEntries({ filter: { dictID: [
+          pubDictTestURLBase + '/dictionaries/private'
+        ]}}, err => {
+          err.should.include(
+            { code: 'UNAUTHORIZED', status: 403, error: 'Not authorized' });
+          cb();
+        });
+      });
+    });
+  });
+
+  describe('getAuth', () => {
+    it('returns the credentials for the host of the URL', cb => {
+      const auth = { token: 'a' };
+      const hostAuth = { token: 'b' };
+      const dictA = new PubDictionaries({
+        auth: auth,
+        authByHost: { 'pubdictionaries.org': hostAuth }
+      });
+
+      dictA.getAuth('https://pubdictionaries.org/dictionaries/A.json')
+        .should.equal(hostAuth);
+      dictA.getAuth('https://PubDictionaries.org').should.equal(hostAuth);
+      dictA.getAuth('http://localhost:3000/dictionaries/A.json')
+        .should.equal(auth);
+      expect(dict.getAuth(testURLBase + '/dictionaries/A.json'))
+        .to.equal(null);
+
+      cb();
+    });
+  });
+
+  describe('request coalescing', () => {
+    // responds after 10 ms, unless aborted
+    const makeSlowDict = (calls, signals) => new PubDictionaries({
+      baseURL: testURLBase,
+      transport: (url, init) => {
+        calls.push(url);
+        signals.push(init.signal);
+        return new Promise(resolve => setTimeout(() =>
+          resolve(makeResponse(200, pubDictUniprot3ResultsJSONString)), 10));
+      }
+    });
+
+    it('sends only one request for concurrent calls with the same URL', cb => {
+      const calls = [];
+      const dictS = makeSlowDict(calls, []);
+      const options = { filter: { dictID: [
+        pubDictTestURLBase + '/dictionaries/human-UniProt'
+      ]}};
+      let count = 0;
+
+      const check = (err, res) => {
+        expect(err).to.equal(null);
+        res.should.deep.equal({ items: expectedTP53MatchObjArray });
+        if (++count === 2) {
+          calls.should.deep.equal([testURLBase + tp53URL]);
+          dictS.inFlightRequests.size.should.equal(0);
+
+          // a later call sends a new request
+          dictS.getEntryMatchesForString('tp53', options, () => {
+            calls.length.should.equal(2);
+            cb();
+          });
+        }
+      };
+      dictS.getEntryMatchesForString('tp53', options, check);
+      dictS.getEntryMatchesForString('tp53', options, check);
+    });
+
+    it('aborts the shared request only when all its callers have ' +
+      'aborted', cb => {
+      const calls = [];
+      const signals = [];
+      const dictS = makeSlowDict(calls, signals);
+      const url = testURLBase + '/dictionaries/MONDO/entries.json';
+      const controller1 = new AbortController();
+      const controller2 = new AbortController();
+      const controller3 = new AbortController();
+
+      dictS.request(url, { signal: controller1.signal }, err => {
+        err.should.include({ code: 'ABORTED', status: 499, error: 'Aborted' });
+        signals[0].aborted.should.equal(false);
+      });
+      dictS.request(url, { signal: controller2.signal }, (err, res) => {
+        expect(err).to.equal(null);
+        res.length.should.equal(3);
+        calls.length.should.equal(1);
+
+        dictS.request(url, { signal: controller3.signal }, err => {
+          err.should.include({ code: 'ABORTED', status: 499, error: 'Aborted' });
+          calls.length.should.equal(2);
+          signals[1].aborted.should.equal(true);
+          dictS.inFlightRequests.size.should.equal(0);
+          cb();
+        });
+        controller3.abort();
+      });
+      controller1.abort();
+    });
+  });
+
+  describe('response cache', () => {
+    // counts the requests per URL and responds with an empty array
+    const makeCountingDict = (urlCounts, cache) => new PubDictionaries({
+      baseURL: testURLBase,
+      cache: cache,
+      transport: makeTransport(url => {
+        urlCounts[url] = (urlCounts[url] || 0) + 1;
+        return makeResponse(200, '[]');
+      })
+    });
+
+    it('does not send a request again for a cached URL', cb => {
+      const urlCounts = {};
+      const dictC = makeCountingDict(urlCounts, true);
+      const url = testURLBase + '/dictionaries/MONDO/entries.json';
+
+      dictC.request(url, (err, res) => {
+        res.should.deep.equal([]);
+        dictC.request(url, (err, res) => {
+          expect(err).to.equal(null);
+          res.should.deep.equal([]);
+          urlCounts[url].should.equal(1);
+          dictC.clearCache();
+          dictC.request(url, () => {
+            urlCounts[url].should.equal(2);
+            cb();
+          });
+        });
+      });
+    });
+
+    it('does not cache when no `cache` option is given', cb => {
+      const urlCounts = {};
+      const dictC = makeCountingDict(urlCounts);
+      const url = testURLBase + '/dictionaries/MONDO.json';
+
+      dictC.request(url, () => {
+        dictC.request(url, () => {
+          urlCounts[url].should.equal(2);
+          cb();
+        });
+      });
+    });
+
+    it('uses the TTL of the endpoint type of the URL', cb => {
+      const urlCounts = {};
+      const dictC = makeCountingDict(urlCounts,
+        { ttl: 1000, ttlByType: { completion: 10 } });
+      const url1 = testURLBase + '/dictionaries/MONDO/mixed_completion?term=a';
+      const url2 = testURLBase + '/dictionaries/MONDO.json';
+
+      dictC.getCacheTTL(url1).should.equal(10);
+      dictC.getCacheTTL(url2).should.equal(1000);
+
+      dictC.request(url1, () => {
+        dictC.request(url2, () => {
+          setTimeout(() => {
+            dictC.request(url1, () => {
+              dictC.request(url2, () => {
+                urlCounts[url1].should.equal(2);
+                urlCounts[url2].should.equal(1);
+                cb();
+              });
+            });
+          }, 20);
+        });
+      });
+    });
+  });
+
+  describe('offline mode', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsm-pubdict-'));
+    });
+
+    afterEach(() => {
+      for (let fileName of fs.readdirSync(dir))
+        fs.unlinkSync(path.join(dir, fileName));
+      fs.rmdirSync(dir);
+    });
+
+    it('answers from the persistent cache that was filled while online', cb => {
+      const url = testURLBase + '/dictionaries/MONDO.json';
+      const dictOnline = new PubDictionaries({
+        baseURL: testURLBase,
+        diskCache: dir,
+        transport: makeTransport(() =>
+          makeResponse(200, mondoDictInfoJSONString))
+      });
+      const dictOffline = new PubDictionaries({
+        baseURL: testURLBase,
+        diskCache: { dir: dir, ttl: 1 }, // expired responses are still used
+        offline: true,
+        transport: () => { throw new Error('should not be called') }
+      });
+
+      dictOnline.request(url, () => {
+        setTimeout(() => {
+          dictOffline.getDictInfos({ filter: {
+            id: [pubDictTestURLBase + '/dictionaries/MONDO']
+          }}, (err, res) => {
+            expect(err).to.equal(null);
+            res.should.deep.equal({ items: [
+              getMONDODictInfoObj(testURLBase + '/dictionaries/MONDO')
+            ]});
+            cb();
+          });
+        }, 5);
+      });
+    });
+
+    it('returns an offline error object for responses that are not cached', cb => {
+      const dictOffline = new PubDictionaries({
+        baseURL: testURLBase,
+        diskCache: dir,
+        offline: true,
+        transport: () => { throw new Error('should not be called') }
+      });
+
+      dictOffline.getEntryMatchesForString('tp53', { filter: { dictID: [
+        pubDictTestURLBase + '/dictionaries/human-UniProt'
+      ]}}, (err, res) => {
+        err.should.include({ code: 'OFFLINE', status: 504,
+          error: 'Offline: no cached response for ' + testURLBase + tp53URL });
+        assert.typeOf(res, 'undefined');
+        cb();
+      });
+    });
+  });
+
+  describe('record/replay', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsm-pubdict-'));
+      file = path.join(dir, 'cassette.json');
+    });
+
+    afterEach(() => {
+      for (let fileName of fs.readdirSync(dir))
+        fs.unlinkSync(path.join(dir, fileName));
+      fs.rmdirSync(dir);
+    });
+
+    it('replays the recorded responses, including errors, without sending ' +
+      'requests', cb => {
+      const options = { filter: { id: [
+        pubDictTestURLBase + '/dictionaries/MONDO',
+        pubDictTestURLBase + '/dictionaries/A'
+      ] } };
+      const dictRecord = new PubDictionaries({
+        baseURL: testURLBase,
+        cassette: { file: file, mode: 'record' },
+        transport: makeTransport(url => url.includes('MONDO')
+          ? makeResponse(200, mondoDictInfoJSONString)
+          : makeResponse(400, errorNonValidDictionaryNameURLJSONString))
+      });
+
+      dictRecord.getDictInfos(options, (err, recordedRes) => {
+        expect(err).to.equal(null);
+        Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))
+          .should.have.members([testURLBase + '/dictionaries/MONDO.json',
+            testURLBase + '/dictionaries/A.json']);
+
+        const dictReplay = new PubDictionaries({
+          baseURL: testURLBase,
+          cassette: { file: file }, // 'replay' is the default mode
+          transport: () => { throw new Error('should not be called') }
+        });
+        dictReplay.getDictInfos(options, (err, res) => {
+          expect(err).to.equal(null);
+          res.should.deep.equal(recordedRes);
+          dictReplay.request(testURLBase + '/dictionaries/A.json', err => {
+            err.should.include({ code: 'UNKNOWN_DICTIONARY', status: 404 });
+            cb();
+          });
+        });
+      });
+    });
+
+    it('does not record network failures and returns an error object for ' +
+      'URLs that are not recorded', cb => {
+      const dictRecord = new PubDictionaries({
+        cassette: { file: file, mode: 'record' },
+        transport: () => Promise.reject(new Error('connection refused'))
+      });
+      const dictReplay = new PubDictionaries({ cassette: file });
+
+      dictRecord.request(testURLBase + '/x', err => {
+        err.should.include({ code: 'NETWORK' });
+        fs.existsSync(file).should.equal(false);
+
+        dictReplay.request(testURLBase + '/x', err => {
+          err.should.include({ code: 'NOT_RECORDED', status: 504,
+            error: 'Not recorded: ' + testURLBase + '/x' });
+          cb();
+        });
+      });
+    });
+  });
+
+  describe('invalidateDictionary', () => {
+    it('removes the cached responses concerning the given dictionary', cb => {
+      const dictC = new PubDictionaries({ baseURL: testURLBase, cache: true });
+      const urls = [
+        testURLBase + '/dictionaries/MONDO.json',
+        testURLBase + '/dictionaries/MONDO/entries.json?page=1&per_page=15',
+        testURLBase + '/dictionaries/MONDO/mixed_completion?term=a',
+        testURLBase + '/dictionaries/PTO-all/mixed_completion?term=a',
+        testURLBase + '/find_terms.json?dictionaries=PTO-all,MONDO&ids=1',
+        testURLBase + '/find_terms.json?dictionaries=PTO-all&ids=1',
+        testURLBase + '/find_terms.json?dictionaries=&ids=1'
+      ];
+      urls.forEach(url => dictC.cache.set(url, []));
+
+      dictC.invalidateDictionary(pubDictTestURLBase + '/dictionaries/MONDO');
+      Array.from(dictC.cache.map.keys()).should.deep.equal([
+        testURLBase + '/dictionaries/PTO-all/mixed_completion?term=a',
+        testURLBase + '/find_terms.json?dictionaries=PTO-all&ids=1'
+      ]);
+
+      // dictionary names work too
+      dictC.invalidateDictionary('PTO-all');
+      dictC.cache.size.should.equal(0);
+
+      // no cache, nothing to do
+      dict.invalidateDictionary('MONDO');
+      dict.clearCache();
+
+      cb();
+    });
+  });
+
+  describe('getEndpointType', () => {
+    it('returns the endpoint type of a request URL', cb => {
+      dict.getEndpointType(testURLBase + '/dictionaries/MONDO.json')
+        .should.equal('dictinfo');
+      dict.getEndpointType(testURLBase + '/dictionaries/MONDO/entries.json')
+        .should.equal('entries');
+      dict.getEndpointType(testURLBase + '/find_terms.json?dictionaries=&ids=2')
+        .should.equal('entries');
+      dict.getEndpointType(testURLBase +
+        '/dictionaries/MONDO/prefix_completion?term=a').should.equal('completion');
+      cb();
+    });
+  });
+
+  describe('getDictNamesFromURL', () => {
+    it('returns the dictionary names of a request URL', cb => {
+      dict.getDictNamesFromURL(testURLBase + '/dictionaries/MONDO.json')
+        .should.deep.equal(['MONDO']);
+      dict.getDictNamesFromURL(testURLBase +
+        '/dictionaries/PTO-all/entries.json?page=1&per_page=15')
+        .should.deep.equal(['PTO-all']);
+      dict.getDictNamesFromURL(testURLBase +
+        '/dictionaries/human-UniProt/mixed_completion?term=a')
+        .should.deep.equal(['human-UniProt']);
+      dict.getDictNamesFromURL(testURLBase +
+        '/find_terms.json?dictionaries=MONDO,ncbi_taxon&ids=2|5')
+        .should.deep.equal(['MONDO', 'ncbi_taxon']);
+      dict.getDictNamesFromURL(testURLBase + '/find_terms.json?dictionaries=&ids=2')
+        .should.deep.equal([]);
+      cb();
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('returns the exponential backoff delay, varied by the jitter', cb => {
+      const dictR = new PubDictionaries({
+        retry: { maxAttempts: 4, baseDelay: 100, jitter: 0 }
+      });
+      dictR.getRetryDelay(1).should.equal(100);
+      dictR.getRetryDelay(2).should.equal(200);
+      dictR.getRetryDelay(3).should.equal(400);
+
+      // capped at `maxDelay`
+      const dictM = new PubDictionaries({
+        retry: { maxAttempts: 4, baseDelay: 100, jitter: 0, maxDelay: 150 }
+      });
+      dictM.getRetryDelay(3).should.equal(150);
+
+      const dictJ = new PubDictionaries({
+        retry: { maxAttempts: 4, baseDelay: 100, jitter: 0.5 }
+      });
+      for (let i = 0; i < 20; i++)
+        dictJ.getRetryDelay(2).should.be.within(100, 300);
+
+      cb();
+    });
+
+    it('returns the time given by a `Retry-After` header value', cb => {
+      const dictR = new PubDictionaries({ retry: { baseDelay: 100 } });
+      dictR.getRetryDelay(1, '2').should.equal(2000);
+      dictR.getRetryDelay(1, '0').should.equal(0);
+      dictR.getRetryDelay(1,
+        new Date(Date.now() + 5000).toUTCString()).should.be.within(3000, 5000);
+      dictR.getRetryDelay(1, new Date(0).toUTCString()).should.equal(0);
+
+      cb();
+    });
+  });
+
+  describe('getEntryPageParts', () => {
+    it('returns the `entries.json` pages and offsets of the dictionaries ' +
+      'that overlap with a page of all their entries', cb => {
+      const dictP = new PubDictionaries({ baseURL: testURLBase });
+      const url = (name, page) => testURLBase + '/dictionaries/' + name +
+        '/entries.json?page=' + page + '&per_page=4';
+      const counts = { A: 5, B: 0, C: 10 };
+
+      dictP.getEntryPageParts(['A', 'B', 'C'], counts, 1, 4)
+        .should.deep.equal([{ urls: [url('A', 1)], start: 0, end: 4 }]);
+      dictP.getEntryPageParts(['A', 'B', 'C'], counts, 2, 4)
+        .should.deep.equal([
+          { urls: [url('A', 2)], start: 0, end: 1 },
+          { urls: [url('C', 1)], start: 0, end: 3 }
+        ]);
+      // the page in C straddles two of its own pages
+      dictP.getEntryPageParts(['A', 'B', 'C'], counts, 3, 4)
+        .should.deep.equal([
+          { urls: [url('C', 1), url('C', 2)], start: 3, end: 7 }
+        ]);
+      dictP.getEntryPageParts(['A', 'B', 'C'], counts, 5, 4)
+        .should.deep.equal([]);
+      cb();
+    });
+  });
+
   describe('sortEntries', () => {
     it('sorts VSM entry objects as specified in the documentation', cb => {
       const arr = [
@@ -0,0 +1,284 @@
+const http = require('http');
+const fs = require('fs');
+const { toPromise } = require('./fun');
+
+/**
+ * A local stand-in for the PubDictionaries server (Node.js only), for
+ * running the client end to end without network access, e.g. in
+ * integration tests. Point a `PubDictionaries` instance to it with
+ * `baseURL: server.baseURL`.
+ *
+ * It implements the endpoints that the client uses, over dictionaries that
+ * are kept in memory (given as arrays of `{ id, label }` entries, or loaded
+ * from TSV files):
+ * - `dictionaries.json`: the paged index of the public dictionaries' info;
+ * - `dictionaries/:name.json`: the dictionary's info;
+ * - `dictionaries/:name/entries.json`: the paged entries;
+ * - `find_terms.json?dictionaries=...&ids=...`: the labels of the given ids;
+ * - `dictionaries/:name/{prefix,substring,mixed}_completion`: the paged
+ *   entries with a label that matches the `term`.
+ * Requests for a dictionary that does not exist get the same
+ * `Unknown dictionary` error response (status 400) as from the real server.
+ */
+module.exports = class PubDictionariesServer {
+
+  constructor(options) {
+    const opt = options || {};
+
+    this.defaultPage = 1;
+    this.defaultPageSize = 15;
+
+    // dictionary name => `{ info, entries }`
+    this.dictionaries = {};
+    this.lastDictID = 0;
+    const dicts = opt.dictionaries || {};
+    Object.keys(dicts).forEach(name => {
+      const dict = dicts[name];
+      if (dict.tsvFile) this.loadTSV(name, dict.tsvFile, dict.info);
+      else this.addDictionary(name, dict.entries, dict.info);
+    });
+
+    this.server = null;
+    this.baseURL = null;
+  }
+
+  /**
+   * Adds (or replaces) a dictionary with the given `{ id, label }` entries.
+   * The `info` object can override the properties of the dictionary's info
+   * response (e.g. `description`, `user_id`, `license`, `no_term_words`).
+   */
+  addDictionary(name, entries, info) {
+    const now = new Date().toISOString();
+    const entryArray = (entries || []).map(entry => ({
+      id: entry.id,
+      label: entry.label
+    }));
+
+    this.dictionaries[name] = {
+      info: Object.assign({
+        id: ++this.lastDictID,
+        name: name,
+        description: '',
+        user_id: 1,
+        entries_num: entryArray.length,
+        created_at: now,
+        updated_at: now,
+        public: true,
+        license: null,
+        license_url: null,
+        no_term_words: [],
+        no_begin_words: [],
+        no_end_words: []
+      }, info, { name: name }),
+      entries: entryArray
+    };
+  }
+
+  /**
+   * Adds a dictionary from a TSV file in the PubDictionaries upload format:
+   * one `label<TAB>id` entry per line. Empty lines and lines that start
+   * with `#` (e.g. a header) are skipped.
+   */
+  loadTSV(name, filePath, info) {
+    this.addDictionary(name,
+      parseTSV(fs.readFileSync(filePath, 'utf8')), info);
+  }
+
+  removeDictionary(name) {
+    delete this.dictionaries[name];
+  }
+
+  /**
+   * Starts the server on the given `port` (by default a random free port)
+   * of `localhost`, and calls back with its `baseURL`
+   */
+  listen(port, cb) {
+    if (typeof port === 'function') {
+      cb = port;
+      port = 0;
+    }
+    if (typeof cb !== 'function')
+      return toPromise(cb => this.listen(port, cb));
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.once('error', cb);
+    this.server.listen(port || 0, '127.0.0.1', () => {
+      this.server.removeListener('error', cb);
+      this.baseURL = 'http://127.0.0.1:' + this.server.address().port;
+      cb(null, this.baseURL);
+    });
+  }
+
+  close(cb) {
+    if (typeof cb !== 'function')
+      return toPromise(cb => this.close(cb));
+
+    if (!this.server) return cb(null);
+    this.server.close(err => {
+      this.server = null;
+      this.baseURL = null;
+      cb(err || null);
+    });
+  }
+
+  /**
+   * Answers an HTTP request: only `GET` requests for the known endpoints
+   */
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { status, body } = (req.method === 'GET')
+      ? this.route(url.pathname, url.searchParams)
+      : { status: 405, body: { message: 'Method not allowed' } };
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Returns the `{ status, body }` response for the given path and query
+   */
+  route(pathname, query) {
+    if (pathname === '/dictionaries.json')
+      return { status: 200, body: this.getPageOf(this.getIndex(), query) };
+
+    if (pathname === '/find_terms.json')
+      return this.findTerms(query.get('dictionaries') || '',
+        query.get('ids') || '');
+
+    const infoMatch = /^\/dictionaries\/([^/]+)\.json$/.exec(pathname);
+    if (infoMatch)
+      return this.withDictionary(infoMatch[1], dict => dict.info);
+
+    const entriesMatch = /^\/dictionaries\/([^/]+)\/entries\.json$/
+      .exec(pathname);
+    if (entriesMatch)
+      return this.withDictionary(entriesMatch[1], dict =>
+        this.getPageOf(dict.entries, query));
+
+    const completionMatch =
+      /^\/dictionaries\/([^/]+)\/(prefix|substring|mixed)_completion$/
+        .exec(pathname);
+    if (completionMatch)
+      return this.withDictionary(completionMatch[1], dict =>
+        this.getPageOf(complete(dict.entries, query.get('term') || '',
+          completionMatch[2]), query));
+
+    return { status: 404, body: { message: 'Not found' } };
+  }
+
+  /**
+   * Returns the info of the public dictionaries, in the order they were
+   * added (as the real server's index, it is not sorted by name)
+   */
+  getIndex() {
+    return Object.keys(this.dictionaries)
+      .map(name => this.dictionaries[name].info)
+      .filter(info => info.public)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Returns the response made by `fn(dict)` for the dictionary with the
+   * (URI-encoded) `name`, or the `Unknown dictionary` error response (or a
+   * 400 response when `name` cannot be decoded)
+   */
+  withDictionary(name, fn) {
+    let dictName;
+    try {
+      dictName = decodeURIComponent(name);
+    } catch (err) {
+      return { status: 400, body: { message: 'Malformed URL: ' + name } };
+    }
+
+    const dict = this.dictionaries[dictName];
+    return dict
+      ? { status: 200, body: fn(dict) }
+      : unknownDictionary(dictName);
+  }
+
+  /**
+   * Returns the `find_terms.json` response: an object that maps each of the
+   * `|`-separated ids found in the given (or else all) dictionaries to its
+   * `{ label, dictionary }` objects
+   */
+  findTerms(dictNamesStr, idsStr) {
+    const dictNames = dictNamesStr.split(',').filter(name => name !== '');
+    const unknownName = dictNames.find(name => !this.dictionaries[name]);
+    if (unknownName !== undefined) return unknownDictionary(unknownName);
+
+    const ids = new Set(idsStr.split('|').filter(id => id !== ''));
+    const names = (dictNames.length > 0)
+      ? dictNames
+      : Object.keys(this.dictionaries);
+
+    const body = {};
+    names.forEach(name => {
+      this.dictionaries[name].entries
+        .filter(entry => ids.has(entry.id))
+        .forEach(entry => {
+          if (!body[entry.id]) body[entry.id] = [];
+          body[entry.id].push({ label: entry.label, dictionary: name });
+        });
+    });
+
+    return { status: 200, body: body };
+  }
+
+  /**
+   * Returns the page of `arr` asked for by the `page` and `per_page` query
+   * parameters (which have the same defaults as on the real server)
+   */
+  getPageOf(arr, query) {
+    const page = toPositiveInt(query.get('page'), this.defaultPage);
+    const pageSize = toPositiveInt(query.get('per_page'),
+      this.defaultPageSize);
+    return arr.slice((page - 1) * pageSize, page * pageSize);
+  }
+};
+
+function unknownDictionary(name) {
+  return {
+    status: 400,
+    body: { message: 'Unknown dictionary: ' + name + '.' }
+  };
+}
+
+/**
+ * Returns the entries with a label that starts with (for 'prefix'),
+ * contains (for 'substring'), or first starts with and then contains
+ * (for 'mixed') the `term`, case-insensitively. Matches are sorted by
+ * label length and then alphabetically.
+ */
+function complete(entries, term, type) {
+  const str = term.toLowerCase();
+  const byLabel = (a, b) => a.label.length - b.label.length
+    || a.label.localeCompare(b.label);
+
+  const prefixMatches = entries
+    .filter(entry => entry.label.toLowerCase().startsWith(str))
+    .sort(byLabel);
+  if (type === 'prefix') return prefixMatches;
+
+  const substringMatches = entries
+    .filter(entry => entry.label.toLowerCase().includes(str))
+    .sort(byLabel);
+  if (type === 'substring') return substringMatches;
+
+  return prefixMatches.concat(substringMatches
+    .filter(entry => !entry.label.toLowerCase().startsWith(str)));
+}
+
+function parseTSV(text) {
+  return text.split(/\r?\n/)
+    .filter(line => line.trim() !== '' && !line.startsWith('#'))
+    .map(line => {
+      const [label, id] = line.split('\t');
+      return { id: (id || '').trim(), label: label.trim() };
+    })
+    .filter(entry => entry.id !== '' && entry.label !== '');
+}
+
+function toPositiveInt(str, defaultValue) {
+  const n = Number(str);
+  return (Number.isInteger(n) && n >= 1) ? n : defaultValue;
+}
@@ -0,0 +1,200 @@
+const PubDictionariesServer = require('./PubDictionariesServer');
+const PubDictionaries = require('./PubDictionaries');
+const chai = require('chai'); chai.should();
+const expect = chai.expect;
+const path = require('path');
+
+describe('PubDictionariesServer.js', () => {
+  const mondoTSV = path.join(__dirname, '..', 'resources', 'mondo_subset.tsv');
+  const pubDictURI = 'https://pubdictionaries.org/dictionaries/';
+  const mondo = 'http://purl.obolibrary.org/obo/MONDO_';
+
+  let server;
+  let dict;
+
+  before(cb => {
+    server = new PubDictionariesServer({
+      dictionaries: {
+        MONDO: { tsvFile: mondoTSV, info: { description: 'MONDO subset' } },
+        'human-UniProt': { entries: [
+          { id: 'https://www.uniprot.org/uniprot/P04637', label: 'TP53' },
+          { id: 'https://www.uniprot.org/uniprot/Q53FA7', label: 'TP53I3' }
+        ] }
+      }
+    });
+    server.listen((err, baseURL) => {
+      dict = new PubDictionaries({ baseURL: baseURL, transport: 'fetch' });
+      cb(err);
+    });
+  });
+
+  after(cb => {
+    server.close(cb);
+  });
+
+  describe('constructor/loadTSV', () => {
+    it('loads the dictionaries from entry arrays and TSV files', cb => {
+      server.dictionaries.MONDO.entries.length.should.equal(5);
+      server.dictionaries.MONDO.entries[1].should.deep.equal(
+        { id: mondo + '0005105', label: 'malignant melanoma' });
+      server.dictionaries.MONDO.info.should.include({ name: 'MONDO',
+        description: 'MONDO subset', entries_num: 5 });
+
+      cb();
+    });
+  });
+
+  describe('listen/close', () => {
+    it('serves on a random port and stops', cb => {
+      const server2 = new PubDictionariesServer();
+      server2.listen()
+        .then(baseURL => {
+          baseURL.should.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+          return server2.close();
+        })
+        .then(() => {
+          expect(server2.baseURL).to.equal(null);
+          cb();
+        })
+        .catch(cb);
+    });
+  });
+
+  describe('endpoints', () => {
+    it('answers `getDictInfos` and gives an error for unknown ' +
+      'dictionaries', cb => {
+      dict.getDictInfos({ filter: { id: [pubDictURI + 'MONDO'] } },
+        (err, res) => {
+          expect(err).to.equal(null);
+          res.items.map(dictInfo => dictInfo.name)
+            .should.deep.equal(['MONDO']);
+
+          dict.getEntries({ filter: { dictID: [pubDictURI + 'nope'] } },
+            err => {
+              err.should.include({ code: 'UNKNOWN_DICTIONARY', status: 404,
+                error: 'Unknown dictionary: nope.' });
+              cb();
+            });
+        });
+    });
+
+    it('answers `getDictInfos` for all (public) dictionaries', cb => {
+      server.addDictionary('private', [], { public: false });
+      dict.getDictInfos({ z: ['entries_num'] }, (err, res) => {
+        server.removeDictionary('private');
+        expect(err).to.equal(null);
+        res.items.map(dictInfo => [dictInfo.name, dictInfo.z.entries_num])
+          .should.deep.equal([['human-UniProt', 2], ['MONDO', 5]]);
+        cb();
+      });
+    });
+
+    it('answers `getEntries` for a dictionary with paging, and for ids', cb => {
+      dict.getEntries({ filter: { dictID: [pubDictURI + 'MONDO'] },
+        page: 2, perPage: 2 }, (err, res) => {
+        expect(err).to.equal(null);
+        res.items.map(entry => entry.terms[0].str).should.deep.equal(
+          ['cutaneous melanoma', 'melanoma in situ']);
+
+        dict.getEntries({ filter: { id: [mondo + '0005105',
+          'https://www.uniprot.org/uniprot/P04637', 'unknown'] } },
+        (err, res) => {
+          expect(err).to.equal(null);
+          res.items.map(entry => [entry.id, entry.terms.length])
+            .should.have.deep.members([
+              [mondo + '0005105', 2],
+              ['https://www.uniprot.org/uniprot/P04637', 1]
+            ]);
+          cb();
+        });
+      });
+    });
+
+    it('answers `getEntries` for several dictionaries, so that walking ' +
+      'the pages gives every entry once', async () => {
+      const options = { filter: { dictID: [pubDictURI + 'MONDO',
+        pubDictURI + 'human-UniProt'] }, perPage: 2 };
+      let entries = [];
+      for (let page = 1; page <= 5; page++) {
+        const res = await dict.getEntries(Object.assign({ page }, options));
+        entries = entries.concat(res.items);
+      }
+
+      // MONDO has two entries with the same id
+      entries.length.should.equal(7);
+      new Set(entries.map(entry => entry.id + '\t' + entry.terms[0].str))
+        .size.should.equal(7);
+      entries.slice(0, 2).map(entry => entry.id).should.deep.equal([
+        'https://www.uniprot.org/uniprot/P04637',
+        'https://www.uniprot.org/uniprot/Q53FA7'
+      ]);
+    });
+
+    it('answers the requests of `streamEntries` for all entries', async () => {
+      const ids = [];
+      for await (let entry of dict.streamEntries('MONDO', { batchSize: 2 }))
+        ids.push(entry.id);
+      ids.length.should.equal(5);
+    });
+
+    it('answers `getEntryMatchesForString` for several dictionaries', cb => {
+      dict.getEntryMatchesForString('MEL', { filter: { dictID: [
+        pubDictURI + 'MONDO', pubDictURI + 'human-UniProt'] } },
+      (err, res) => {
+        expect(err).to.equal(null);
+        res.items.map(match => match.str).should.have.members([
+          'melanoma', 'melanoma in situ', 'malignant melanoma',
+          'cutaneous melanoma'
+        ]);
+        res.items.forEach(match => match.dictID.should.equal(
+          pubDictURI + 'MONDO'));
+        cb();
+      });
+    });
+  });
+
+  describe('route', () => {
+    it('implements the three completion types and paging', cb => {
+      const query = str => new URLSearchParams(str);
+      const labels = response => response.body.map(entry => entry.label);
+      const base = '/dictionaries/MONDO/';
+
+      labels(server.route(base + 'prefix_completion',
+        query('term=mel'))).should.deep.equal(
+        ['melanoma', 'melanoma in situ']);
+      labels(server.route(base + 'substring_completion',
+        query('term=mel'))).should.deep.equal(['melanoma',
+        'melanoma in situ', 'cutaneous melanoma', 'malignant melanoma']);
+      labels(server.route(base + 'mixed_completion',
+        query('term=mel&page=2&per_page=3'))).should.deep.equal(
+        ['malignant melanoma']);
+
+      cb();
+    });
+
+    it('returns the real server\'s error responses', cb => {
+      server.route('/dictionaries/X.json', new URLSearchParams())
+        .should.deep.equal({ status: 400,
+          body: { message: 'Unknown dictionary: X.' } });
+      server.route('/find_terms.json',
+        new URLSearchParams('dictionaries=MONDO,X&ids=1'))
+        .should.deep.equal({ status: 400,
+          body: { message: 'Unknown dictionary: X.' } });
+      server.route('/other', new URLSearchParams()).status.should.equal(404);
+
+      cb();
+    });
+
+    it('answers a malformed dictionary name with a 400 response', cb => {
+      server.route('/dictionaries/%E0%A4%A.json', new URLSearchParams())
+        .status.should.equal(400);
+
+      dict.request(server.baseURL + '/dictionaries/%E0%A4%A/entries.json',
+        (err, res) => {
+          err.should.include({ code: 'HTTP', status: 400 });
+          expect(res).to.equal(undefined);
+          cb();
+        });
+    });
+  });
+});
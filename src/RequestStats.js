@@ -0,0 +1,93 @@
+/**
+ * Collects usage statistics of the finished requests: the number of
+ * requests, the errors by status, the cache hits and the latencies (in ms),
+ * grouped by endpoint type and by dictionary name.
+ * Only the latest `maxSamples` latencies of every group are kept for the
+ * percentiles, so the memory use stays bounded.
+ */
+module.exports = class RequestStats {
+
+  constructor(options) {
+    const opt = options || {};
+
+    this.maxSamples = (Number.isInteger(opt.maxSamples) && opt.maxSamples >= 1)
+      ? opt.maxSamples
+      : 1000;
+
+    this.reset();
+  }
+
+  reset() {
+    this.byEndpoint = {};
+    this.byDictionary = {};
+  }
+
+  /**
+   * Adds a finished request to the groups of its `endpoint` type and of each
+   * of its `dictNames`. The `result` has the error `status` (or null for a
+   * success), the `source` of the response ('network', 'cache', 'diskCache',
+   * 'cassette', or undefined when no request was sent) and the `duration`
+   * (in ms), which is a latency sample only for the requests sent to the
+   * server.
+   */
+  record(endpoint, dictNames, result) {
+    const groups = [getGroup(this.byEndpoint, endpoint)]
+      .concat(dictNames.map(dictName => getGroup(this.byDictionary, dictName)));
+
+    for (let group of groups) {
+      group.requests++;
+      if (result.status !== null && result.status !== undefined)
+        group.errors[result.status] = (group.errors[result.status] || 0) + 1;
+      if (result.source === 'cache' || result.source === 'diskCache') {
+        group.cacheHits++;
+      } else if (result.source === 'network') {
+        group.latencies.push(result.duration);
+        if (group.latencies.length > this.maxSamples) group.latencies.shift();
+      }
+    }
+  }
+
+  /**
+   * Returns `{ byEndpoint, byDictionary }`, both mapping a group name to
+   * `{ requests, errors, cacheHits, latency: { p50, p95 } }`, where `errors`
+   * maps a status to its count and the percentiles are null without samples
+   */
+  get() {
+    return {
+      byEndpoint: summarize(this.byEndpoint),
+      byDictionary: summarize(this.byDictionary)
+    };
+  }
+};
+
+function getGroup(groups, name) {
+  if (!groups[name])
+    groups[name] = { requests: 0, errors: {}, cacheHits: 0, latencies: [] };
+  return groups[name];
+}
+
+function summarize(groups) {
+  return Object.keys(groups).reduce((res, name) => {
+    const group = groups[name];
+    const latencies = group.latencies.slice().sort((a, b) => a - b);
+    res[name] = {
+      requests: group.requests,
+      errors: Object.assign({}, group.errors),
+      cacheHits: group.cacheHits,
+      latency: {
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95)
+      }
+    };
+    return res;
+  }, {});
+}
+
+/**
+ * Returns the `p`-th percentile of the sorted `values` (nearest-rank method)
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const rank = Math.ceil(p / 100 * values.length);
+  return values[Math.max(rank, 1) - 1];
+}
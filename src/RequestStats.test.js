@@ -0,0 +1,71 @@
+const RequestStats = require('./RequestStats');
+const chai = require('chai'); chai.should();
+
+describe('RequestStats.js', () => {
+
+  describe('record/get', () => {
+    it('counts the requests, errors and cache hits per endpoint type and ' +
+      'per dictionary', cb => {
+      const stats = new RequestStats();
+      stats.record('completion', ['MONDO'],
+        { status: null, source: 'network', duration: 10 });
+      stats.record('completion', ['MONDO'],
+        { status: null, source: 'cache', duration: 0 });
+      stats.record('entries', ['MONDO', 'PTO-all'],
+        { status: 502, source: 'network', duration: 30 });
+      stats.record('entries', [],
+        { status: 504, source: undefined, duration: 0 });
+
+      stats.get().should.deep.equal({
+        byEndpoint: {
+          completion: { requests: 2, errors: {}, cacheHits: 1,
+            latency: { p50: 10, p95: 10 } },
+          entries: { requests: 2, errors: { 502: 1, 504: 1 }, cacheHits: 0,
+            latency: { p50: 30, p95: 30 } }
+        },
+        byDictionary: {
+          MONDO: { requests: 3, errors: { 502: 1 }, cacheHits: 1,
+            latency: { p50: 10, p95: 30 } },
+          'PTO-all': { requests: 1, errors: { 502: 1 }, cacheHits: 0,
+            latency: { p50: 30, p95: 30 } }
+        }
+      });
+
+      cb();
+    });
+
+    it('computes the percentiles over the latest samples only', cb => {
+      const stats = new RequestStats({ maxSamples: 20 });
+      for (let i = 1; i <= 40; i++)
+        stats.record('dictinfo', [], { status: null, source: 'network',
+          duration: i });
+
+      stats.byEndpoint.dictinfo.latencies.length.should.equal(20);
+      stats.get().byEndpoint.dictinfo.latency
+        .should.deep.equal({ p50: 30, p95: 39 });
+
+      cb();
+    });
+
+    it('returns null percentiles without samples', cb => {
+      const stats = new RequestStats();
+      stats.record('dictinfo', ['A'], { status: null, source: 'cache' });
+      stats.get().byDictionary.A.latency
+        .should.deep.equal({ p50: null, p95: null });
+
+      cb();
+    });
+  });
+
+  describe('reset', () => {
+    it('removes all statistics', cb => {
+      const stats = new RequestStats();
+      stats.record('dictinfo', ['A'], { status: null, source: 'network',
+        duration: 5 });
+      stats.reset();
+      stats.get().should.deep.equal({ byEndpoint: {}, byDictionary: {} });
+
+      cb();
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * All errors given to the callbacks are plain objects with:
+ * - a stable `code`, one of `errorCodes` below;
+ * - the `status` and `error` (message) properties, as expected by other
+ *   VSM-dictionary packages (e.g. vsm-dictionary-combiner);
+ * - the `url` and `dictID` of the failing request, or null;
+ * - the original `cause` (e.g. an `Error` or the server's JSON response),
+ *   or null.
+ */
+const errorCodes = {
+  UNKNOWN_DICTIONARY: 'UNKNOWN_DICTIONARY',
+  NOT_SUPPORTED: 'NOT_SUPPORTED',
+  NETWORK: 'NETWORK',
+  PARSE: 'PARSE',
+  HTTP: 'HTTP',
+  TIMEOUT: 'TIMEOUT',
+  ABORTED: 'ABORTED',
+  OFFLINE: 'OFFLINE',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NOT_RECORDED: 'NOT_RECORDED'
+};
+
+module.exports = { errorCodes, createError };
+
+function createError(code, status, error, details) {
+  const opt = details || {};
+  return {
+    code: code,
+    status: status,
+    error: error,
+    url: opt.url || null,
+    dictID: opt.dictID || null,
+    cause: (opt.cause !== undefined) ? opt.cause : null
+  };
+}
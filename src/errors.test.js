@@ -0,0 +1,44 @@
+const { errorCodes, createError } = require('./errors');
+const chai = require('chai'); chai.should();
+
+describe('errors.js', () => {
+
+  describe('errorCodes', () => {
+    it('has every code equal to its own name', cb => {
+      Object.keys(errorCodes).forEach(key =>
+        errorCodes[key].should.equal(key));
+      cb();
+    });
+  });
+
+  describe('createError', () => {
+    it('returns an error object with all properties, using null for the ' +
+      'missing details', cb => {
+      createError(errorCodes.NOT_SUPPORTED, 404, 'Not supported')
+        .should.deep.equal({
+          code: 'NOT_SUPPORTED',
+          status: 404,
+          error: 'Not supported',
+          url: null,
+          dictID: null,
+          cause: null
+        });
+
+      const cause = new Error('socket hang up');
+      createError(errorCodes.NETWORK, 0, 'socket hang up', {
+        url: 'http://test/dictionaries/A.json',
+        dictID: 'https://pubdictionaries.org/dictionaries/A',
+        cause: cause
+      }).should.deep.equal({
+        code: 'NETWORK',
+        status: 0,
+        error: 'socket hang up',
+        url: 'http://test/dictionaries/A.json',
+        dictID: 'https://pubdictionaries.org/dictionaries/A',
+        cause: cause
+      });
+
+      cb();
+    });
+  });
+});
@@ -1,8 +1,10 @@
 module.exports = { hasProperEntrySortProperty, hasProperFilterDictIDProperty,
   hasProperFilterIDProperty, hasProperPageProperty, hasPagePropertyEqualToOne,
-  hasProperPerPageProperty, hasProperSortDictIDProperty, str_cmp, deepClone,
+  hasProperPerPageProperty, hasProperSortDictIDProperty,
+  hasProperTimeoutProperty, str_cmp, deepClone,
   fixedEncodeURIComponent, isJSONString, getLastPartOfURL, removeDuplicates,
-  removeDuplicateEntries };
+  removeDuplicateEntries, toPromise, callAsync, getRetryOptions,
+  isRetriableStatus };
 
 function getLastPartOfURL(strURL) {
   return strURL.split('/').pop();
@@ -74,6 +76,43 @@ function hasProperPerPageProperty(options) {
     && options.perPage >= 1;
 }
 
+function hasProperTimeoutProperty(options) {
+  return options.hasOwnProperty('timeout')
+    && Number.isInteger(options.timeout)
+    && options.timeout >= 0;
+}
+
+/**
+ * Returns the retry options with the defaults filled in: by default, each
+ * request is sent only once (`maxAttempts` = 1)
+ */
+function getRetryOptions(retry) {
+  const opt = retry || {};
+  return {
+    maxAttempts: (Number.isInteger(opt.maxAttempts) && opt.maxAttempts >= 1)
+      ? opt.maxAttempts
+      : 1,
+    baseDelay: (typeof opt.baseDelay === 'number' && opt.baseDelay >= 0)
+      ? opt.baseDelay
+      : 500,
+    jitter: (typeof opt.jitter === 'number'
+      && opt.jitter >= 0 && opt.jitter <= 1)
+      ? opt.jitter
+      : 0.5,
+    maxDelay: (typeof opt.maxDelay === 'number' && opt.maxDelay >= 0)
+      ? opt.maxDelay
+      : 30000
+  };
+}
+
+/**
+ * Transient failures: too many requests, server errors and network errors
+ * (status 0). Other 4xx errors (e.g. unknown dictionary) are not retried.
+ */
+function isRetriableStatus(status) {
+  return status === 0 || status === 429 || status >= 500;
+}
+
 function hasProperEntrySortProperty(options) {
   return options.hasOwnProperty('sort')
     && typeof options.sort === 'string'
@@ -133,3 +172,22 @@ function removeDuplicateEntries(arr) {
       }
     }, []);
 }
+
+/**
+ * Calls `fn` with a Node-style callback and returns a Promise that gets
+ * rejected or resolved with the (first) error or result given to it.
+ *
+ * @param fn Function that takes a `(err, res)` callback as its only argument
+ */
+function toPromise(fn) {
+  return new Promise((resolve, reject) =>
+    fn((err, res) => err ? reject(err) : resolve(res)));
+}
+
+/**
+ * Makes a call to `f` with given arguments, in a truly asynchronous way,
+ * i.e. on new event loop.
+ */
+function callAsync(f, ...args) {
+  setTimeout(() => f(...args), 0);
+}
@@ -1,6 +1,7 @@
 const { getLastPartOfURL, fixedEncodeURIComponent, isJSONString, deepClone,
-  hasProperEntrySortProperty, removeDuplicates,
-  removeDuplicateEntries } = require('./fun');
+  hasProperEntrySortProperty, hasProperTimeoutProperty, removeDuplicates,
+  getRetryOptions, isRetriableStatus,
+  removeDuplicateEntries, toPromise } = require('./fun');
 const chai = require('chai'); chai.should();
 const expect = chai.expect;
 const fs = require('fs');
@@ -105,6 +106,50 @@ describe('fun.js', () => {
     });
   });
 
+  describe('hasProperTimeoutProperty', () => {
+    it('returns true or false whether the `options.timeout` property is ' +
+      'a non-negative integer', cb => {
+      expect(hasProperTimeoutProperty({})).to.equal(false);
+      expect(hasProperTimeoutProperty({ timeout: '10' })).to.equal(false);
+      expect(hasProperTimeoutProperty({ timeout: -1 })).to.equal(false);
+      expect(hasProperTimeoutProperty({ timeout: 1.5 })).to.equal(false);
+      expect(hasProperTimeoutProperty({ timeout: 0 })).to.equal(true);
+      expect(hasProperTimeoutProperty({ timeout: 5000 })).to.equal(true);
+
+      cb();
+    });
+  });
+
+  describe('getRetryOptions', () => {
+    it('returns the given retry options, with defaults for the missing or ' +
+      'invalid ones', cb => {
+      getRetryOptions().should.deep.equal(
+        { maxAttempts: 1, baseDelay: 500, jitter: 0.5, maxDelay: 30000 });
+      getRetryOptions({ maxAttempts: 0, baseDelay: -1, jitter: 2,
+        maxDelay: -1 }).should.deep.equal(
+        { maxAttempts: 1, baseDelay: 500, jitter: 0.5, maxDelay: 30000 });
+      getRetryOptions({ maxAttempts: 3, baseDelay: 100, jitter: 0,
+        maxDelay: 1000 }).should.deep.equal(
+        { maxAttempts: 3, baseDelay: 100, jitter: 0, maxDelay: 1000 });
+
+      cb();
+    });
+  });
+
+  describe('isRetriableStatus', () => {
+    it('returns true only for network errors, 429 and 5xx statuses', cb => {
+      expect(isRetriableStatus(0)).to.equal(true);
+      expect(isRetriableStatus(429)).to.equal(true);
+      expect(isRetriableStatus(500)).to.equal(true);
+      expect(isRetriableStatus(502)).to.equal(true);
+      expect(isRetriableStatus(200)).to.equal(false);
+      expect(isRetriableStatus(400)).to.equal(false);
+      expect(isRetriableStatus(404)).to.equal(false);
+
+      cb();
+    });
+  });
+
   describe('deepClone', () => {
     it('deep-clones, so changes on the original object do not affect '
       + 'the clone', () => {
@@ -169,4 +214,22 @@ describe('fun.js', () => {
       cb();
     });
   });
-});
\ No newline at end of file
+
+  describe('toPromise', () => {
+    it('resolves with the result given to the callback', () => {
+      return toPromise(cb => cb(null, { items: [] }))
+        .then(res => res.should.deep.equal({ items: [] }));
+    });
+
+    it('rejects with the error given to the callback and ignores any ' +
+      'later calls', () => {
+      return toPromise(cb => {
+        cb({ status: 404, error: 'Not supported' });
+        cb(null, { items: [] });
+      }).then(
+        () => { throw new Error('should not resolve') },
+        err => err.should.deep.equal({ status: 404, error: 'Not supported' })
+      );
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const logLevels = ['debug', 'info', 'warn', 'error'];
+
+module.exports = { getLogger, logLevels };
+
+/**
+ * Returns the logger to use:
+ * - a given logger object (e.g. from pino or winston), with functions for
+ *   the `logLevels` (missing ones are replaced by no-ops);
+ * - for a level name, a console logger that logs from that level on, and
+ *   for `true`, one that logs all levels;
+ * - otherwise, a silent logger.
+ */
+function getLogger(logger) {
+  if (logger && typeof logger === 'object') {
+    return logLevels.reduce((res, level) => {
+      res[level] = (typeof logger[level] === 'function')
+        ? logger[level].bind(logger)
+        : () => {};
+      return res;
+    }, {});
+  }
+
+  const minLevel = (logger === true)
+    ? 0
+    : logLevels.indexOf(logger); // -1 for no logging at all
+
+  return logLevels.reduce((res, level, index) => {
+    res[level] = (minLevel !== -1 && index >= minLevel)
+      ? (...args) => console.log(...args)
+      : () => {};
+    return res;
+  }, {});
+}
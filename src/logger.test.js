@@ -0,0 +1,54 @@
+const { getLogger, logLevels } = require('./logger');
+const chai = require('chai'); chai.should();
+
+describe('logger.js', () => {
+
+  describe('getLogger', () => {
+    let logs;
+    let consoleLog;
+
+    beforeEach(() => {
+      logs = [];
+      consoleLog = console.log;
+      console.log = (...args) => logs.push(args.join(' '));
+    });
+
+    afterEach(() => {
+      console.log = consoleLog;
+    });
+
+    const logAll = logger => logLevels.forEach(level => logger[level](level));
+
+    it('returns a silent logger by default', cb => {
+      logAll(getLogger());
+      logAll(getLogger(false));
+      logAll(getLogger('verbose'));
+      logs.should.deep.equal([]);
+
+      cb();
+    });
+
+    it('returns a console logger for all levels, or from a given level on',
+      cb => {
+        logAll(getLogger(true));
+        logs.should.deep.equal(['debug', 'info', 'warn', 'error']);
+
+        logs = [];
+        logAll(getLogger('warn'));
+        logs.should.deep.equal(['warn', 'error']);
+
+        cb();
+      });
+
+    it('wraps a given logger object and fills in the missing levels', cb => {
+      const custom = {
+        prefix: '>',
+        info: function (msg) { logs.push(this.prefix + msg) }
+      };
+      logAll(getLogger(custom));
+      logs.should.deep.equal(['>info']);
+
+      cb();
+    });
+  });
+});
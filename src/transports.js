@@ -0,0 +1,94 @@
+/**
+ * A transport is a function `(url, init) => Promise<Response>` that sends an
+ * HTTP request and resolves with a (fetch-API-like) response object, having
+ * at least a `status` number, a `headers.get(name)` function and a `text()`
+ * function that returns a Promise of the response body.
+ * The `init` object can have the `method`, `headers` and `signal` properties.
+ */
+module.exports = { getTransport, fetchTransport, xhrTransport };
+
+/**
+ * Returns the transport to use: either the given function, or one of the
+ * built-in ones by name ('fetch' or 'xhr'). By default, `fetch` is used
+ * when available and the legacy XMLHttpRequest transport otherwise.
+ */
+function getTransport(transport) {
+  if (typeof transport === 'function') return transport;
+  else if (transport === 'xhr') return xhrTransport;
+  else if (transport === 'fetch') return fetchTransport;
+  else return (typeof fetch === 'function') ? fetchTransport : xhrTransport;
+}
+
+function fetchTransport(url, init) {
+  return fetch(url, init);
+}
+
+/**
+ * Legacy transport, using the browser's `XMLHttpRequest` or the
+ * `xmlhttprequest` package in Node.js
+ */
+function xhrTransport(url, init = {}) {
+  return new Promise((resolve, reject) => {
+    const req = getReqObj();
+    const signal = init.signal;
+    if (signal) {
+      if (signal.aborted) return reject(abortError());
+      signal.addEventListener('abort', () => {
+        reject(abortError());
+        req.abort();
+      });
+    }
+
+    req.onreadystatechange = function () {
+      if (req.readyState === 4) {
+        // no response at all (e.g. a refused connection), as `fetch` rejects
+        if (req.status === 0) return reject(networkError());
+
+        // keep the first complete response, as `req` may change afterwards
+        const text = req.responseText;
+        const headers = parseHeaders(req.getAllResponseHeaders() || '');
+        resolve({
+          status: req.status,
+          headers: { get: name => headers[name.toLowerCase()] || null },
+          text: () => Promise.resolve(text)
+        });
+      }
+    };
+    req.open(init.method || 'GET', url, true);
+    const headers = init.headers || {};
+    for (let name of Object.keys(headers))
+      req.setRequestHeader(name, headers[name]);
+    req.send();
+  });
+}
+
+function networkError() {
+  return new TypeError('Network request failed');
+}
+
+function abortError() {
+  const err = new Error('The request was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Parses the `getAllResponseHeaders()` string to an object, with
+ * lowercase header names as keys
+ */
+function parseHeaders(str) {
+  return str.split(/\r?\n/).reduce((headers, line) => {
+    const index = line.indexOf(':');
+    if (index > 0)
+      headers[line.slice(0, index).trim().toLowerCase()] =
+        line.slice(index + 1).trim();
+    return headers;
+  }, {});
+}
+
+function getReqObj() {
+  return new (typeof XMLHttpRequest !== 'undefined'
+    ? XMLHttpRequest // In browser
+    : require('xmlhttprequest').XMLHttpRequest  // In Node.js
+  )();
+}
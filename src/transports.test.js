@@ -0,0 +1,99 @@
+const { getTransport, fetchTransport, xhrTransport } =
+  require('./transports');
+const chai = require('chai'); chai.should();
+const expect = chai.expect;
+const nock = require('nock');
+
+describe('transports.js', () => {
+  const testURLBase = 'http://test';
+
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  describe('getTransport', () => {
+    it('returns the given transport function or a built-in one', cb => {
+      const myTransport = () => Promise.resolve();
+      getTransport(myTransport).should.equal(myTransport);
+      getTransport('xhr').should.equal(xhrTransport);
+      getTransport('fetch').should.equal(fetchTransport);
+
+      // `fetch` is available in the Node.js versions we test with
+      getTransport().should.equal(
+        (typeof fetch === 'function') ? fetchTransport : xhrTransport);
+      getTransport('unknown').should.equal(getTransport());
+
+      cb();
+    });
+  });
+
+  describe('fetchTransport', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('passes the URL and the `init` object to `fetch`', () => {
+      const init = { method: 'GET', headers: { a: 'b' } };
+      global.fetch = (url, init) => Promise.resolve({ url, init });
+
+      return fetchTransport(testURLBase + '/x', init).then(res => {
+        res.url.should.equal(testURLBase + '/x');
+        res.init.should.equal(init);
+      });
+    });
+  });
+
+  describe('xhrTransport', () => {
+    it('resolves with a response object having the status, headers and ' +
+      'body text', () => {
+      nock(testURLBase).get('/x')
+        .matchHeader('x-test', 'yes')
+        .reply(404, 'Not found', { 'X-Result': 'none' });
+
+      return xhrTransport(testURLBase + '/x', { headers: { 'X-Test': 'yes' }})
+        .then(res => {
+          res.status.should.equal(404);
+          res.headers.get('X-Result').should.equal('none');
+          return res.text();
+        })
+        .then(text => expect(text).to.equal('Not found'));
+    });
+
+    it('rejects and aborts the request when the `signal` is aborted', () => {
+      nock(testURLBase).get('/x').delay(500).reply(200, '[]');
+      const controller = new AbortController();
+      const promise = xhrTransport(testURLBase + '/x',
+        { signal: controller.signal });
+      controller.abort();
+
+      return promise.then(
+        () => { throw new Error('should not resolve') },
+        err => err.name.should.equal('AbortError')
+      );
+    });
+
+    it('rejects when there is no response at all (status 0), as `fetch` ' +
+      'does', () => {
+      nock(testURLBase).get('/x')
+        .replyWithError('connect ECONNREFUSED 127.0.0.1:80');
+
+      return xhrTransport(testURLBase + '/x').then(
+        () => { throw new Error('should not resolve') },
+        err => {
+          err.should.be.an.instanceof(TypeError);
+          err.message.should.equal('Network request failed');
+        }
+      );
+    });
+  });
+});
@@ -7,7 +7,7 @@ const PubDictionaries = require('../src/PubDictionaries');
 
 const dict = new PubDictionaries({log: true});
 
-// asking for all pubDictionaries information is not supported
+// lists all public pubDictionaries, sorted by dictID
 dict.getDictInfos( { page: 1, perPage: 4 }, (err, res) => {
   if (err) console.log(JSON.stringify(err, null, 4));
   else {